@@ -19,6 +19,7 @@ import {
   collection,
   deleteDoc,
   doc,
+  getDoc,
   getDocs,
   increment,
   onSnapshot,
@@ -28,7 +29,9 @@ import {
   Timestamp,
   updateDoc,
   where,
+  writeBatch,
 } from "firebase/firestore";
+import QRCode from "qrcode";
 import { auth, db } from "./firebase.js";
 
 const navItems = [
@@ -75,7 +78,71 @@ const rangeOptions = [
   { value: "1y", label: "1 year" },
 ];
 
-const currencyOptions = ["EUR", "USD", "GBP", "INR", "CAD", "AUD"];
+const referenceRates = {
+  EUR: 1,
+  USD: 1.08,
+  GBP: 0.85,
+  INR: 90.5,
+  CAD: 1.48,
+  AUD: 1.65,
+  CHF: 0.95,
+  JPY: 163,
+  THB: 38.9,
+  KWD: 0.33,
+  SGD: 1.45,
+  AED: 3.97,
+};
+// ISO 4217 minor units where browser currency data disagrees.
+const currencyMinorUnits = {
+  AFN: 2,
+  ALL: 2,
+  IQD: 3,
+  IRR: 2,
+  KPW: 2,
+  LAK: 2,
+  LBP: 2,
+  MGA: 2,
+  MMK: 2,
+  RSD: 2,
+  SOS: 2,
+  SYP: 2,
+  YER: 2,
+};
+// Retired codes and accounting units that some Intl data still lists.
+const excludedCurrencies = new Set([
+  "ANG",
+  "CUC",
+  "HRK",
+  "SLL",
+  "XDR",
+  "XSU",
+  "ZWL",
+]);
+const currencyNames =
+  typeof Intl.DisplayNames === "function"
+    ? new Intl.DisplayNames(["en"], { type: "currency" })
+    : null;
+const isoCurrencies = (
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("currency")
+    : Object.keys(referenceRates).sort()
+)
+  .filter((code) => !excludedCurrencies.has(code))
+  .map((code) => ({ code, name: currencyNames?.of(code) || code }));
+const isoCurrencyLookup = new Map(
+  isoCurrencies.map((currency) => [currency.code, currency])
+);
+const splitTypeOptions = [
+  { value: "equal", label: "Equal split" },
+  { value: "exact", label: "Exact amounts" },
+  { value: "weighted", label: "Weighted" },
+  { value: "percentage", label: "Percentages" },
+  { value: "itemized", label: "Itemized receipt" },
+];
+const entryTypeOptions = [
+  { value: "expense", label: "Expense" },
+  { value: "refund", label: "Refund or income" },
+];
 const expenseCategoryOptions = [
   "Clothes",
   "Food",
@@ -97,6 +164,14 @@ const groupTypes = [
   "Friends",
   "Family",
 ];
+const closableGroupTypes = ["Trip", "Event/Party"];
+const reminderCadenceOptions = [
+  { value: 0, label: "No automatic reminders" },
+  { value: 7, label: "Weekly" },
+  { value: 14, label: "Every 2 weeks" },
+  { value: 30, label: "Monthly" },
+];
+const reminderCooldownMs = 24 * 60 * 60 * 1000;
 const pieColors = [
   "#2e7d32",
   "#e53935",
@@ -130,20 +205,109 @@ const ACTIVITY_EVENTS = [
   "scroll",
 ];
 
-function itemCurrency(expenses, category) {
-  const set = new Set(
-    expenses
-      .filter((item) => (item.category || "Other") === category)
-      .map((item) => item.currency || "EUR")
-  );
-  return set.size === 1 ? [...set][0] : "MIXED";
-}
-
 function overallCurrency(expenses) {
   const set = new Set(expenses.map((item) => item.currency || "EUR"));
   return set.size === 1 ? [...set][0] : "MIXED";
 }
 
+function getExchangeRate(from, to, rates = referenceRates) {
+  if (from === to) return 1;
+  if (!rates[from] || !rates[to]) return null;
+  return rates[to] / rates[from];
+}
+
+function convertAmount(amount, from = "EUR", to = "EUR", rates = referenceRates) {
+  const rate = getExchangeRate(from, to, rates);
+  if (rate === null) return null;
+  return fromMinorUnits(toMinorUnits(Number(amount || 0) * rate, to), to);
+}
+
+function addParsedRate(days, date, currency, rate) {
+  const code = String(currency || "").trim().toUpperCase();
+  const value = Number(rate);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^[A-Z]{3}$/.test(code)) return;
+  if (!Number.isFinite(value) || value <= 0 || code === "EUR") return;
+  days[date] = { ...(days[date] || {}), [code]: value };
+}
+
+function parseRateFile(text) {
+  const days = {};
+  const content = String(text || "").trim();
+  if (content.startsWith("<")) {
+    const xml = new DOMParser().parseFromString(content, "text/xml");
+    Array.from(xml.getElementsByTagName("*"))
+      .filter((node) => node.localName === "Cube" && node.getAttribute("time"))
+      .forEach((dayNode) => {
+        Array.from(dayNode.children).forEach((rateNode) => {
+          addParsedRate(
+            days,
+            dayNode.getAttribute("time"),
+            rateNode.getAttribute("currency"),
+            rateNode.getAttribute("rate")
+          );
+        });
+      });
+    return days;
+  }
+  const rows = parseCsv(content);
+  if (rows.length < 2) return days;
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  if (header[0] !== "date") return days;
+  const currencyIndex = header.indexOf("currency");
+  const rateIndex = header.indexOf("rate");
+  rows.slice(1).forEach((row) => {
+    const date = String(row[0] || "").trim();
+    if (currencyIndex > 0 && rateIndex > 0) {
+      addParsedRate(days, date, row[currencyIndex], row[rateIndex]);
+      return;
+    }
+    header.slice(1).forEach((code, index) => {
+      addParsedRate(days, date, code, String(row[index + 1] || "").trim());
+    });
+  });
+  return days;
+}
+
+function findDatedRates(days, date, maxGapDays = 4) {
+  const start = normalizeDate(date);
+  if (!start || !days) return null;
+  for (let offset = 0; offset <= maxGapDays; offset += 1) {
+    const key = toDateInputValue(
+      new Date(start.getTime() - offset * 24 * 60 * 60 * 1000)
+    );
+    if (days[key]) return days[key];
+  }
+  return null;
+}
+
+function getRatesForDate(days, date) {
+  return { ...referenceRates, ...(findDatedRates(days, date) || {}), EUR: 1 };
+}
+
+function getDatedExchangeRate(from, to, date, days) {
+  const dated = findDatedRates(days, date);
+  if (!dated) return null;
+  return getExchangeRate(from, to, { ...dated, EUR: 1 });
+}
+
+function convertExpense(expense, currency, rates = referenceRates) {
+  const from = expense.currency || "EUR";
+  if (from === currency) return expense;
+  const amount = convertAmount(expense.amount, from, currency, rates);
+  if (amount === null) return null;
+  return {
+    ...expense,
+    amount,
+    currency,
+    originalAmount: expense.amount,
+    originalCurrency: from,
+    payers: expense.payers?.map((payer) => ({
+      ...payer,
+      amount: convertAmount(payer.amount, from, currency, rates),
+    })),
+  };
+}
+
 function normalizeDate(value) {
   if (!value) return null;
   if (value.toDate) return value.toDate();
@@ -498,7 +662,13 @@ function hydrateImportedCsvFiles(files) {
     .filter((file) => file.importedAt);
 }
 
-function buildMonthlyTable(expenses, categories, monthKey, currentUserId) {
+function buildMonthlyTable(
+  expenses,
+  categories,
+  monthKey,
+  currentUserId,
+  currency = "EUR"
+) {
   const monthDate = monthKey ? new Date(`${monthKey}-01`) : new Date();
   const monthLabel = monthDate.toLocaleDateString("en-US", {
     month: "long",
@@ -542,11 +712,14 @@ function buildMonthlyTable(expenses, categories, monthKey, currentUserId) {
       : "Miscellaneous";
     row.categories.set(
       category,
-      (row.categories.get(category) || 0) + Number(item.amount || 0)
+      addMoney(row.categories.get(category) || 0, getSignedAmount(item), currency)
+    );
+    row.total = addMoney(row.total, getSignedAmount(item), currency);
+    totals.set(
+      category,
+      addMoney(totals.get(category) || 0, getSignedAmount(item), currency)
     );
-    row.total += Number(item.amount || 0);
-    totals.set(category, (totals.get(category) || 0) + Number(item.amount || 0));
-    totalSpend += Number(item.amount || 0);
+    totalSpend = addMoney(totalSpend, getSignedAmount(item), currency);
   });
 
   const sortedRows = Array.from(rows.values()).sort((a, b) => a.ts - b.ts);
@@ -559,7 +732,13 @@ function buildMonthlyTable(expenses, categories, monthKey, currentUserId) {
   };
 }
 
-function buildRangeData(expenses, rangeKey, currentUserId, categories = []) {
+function buildRangeData(
+  expenses,
+  rangeKey,
+  currentUserId,
+  categories = [],
+  currency = "EUR"
+) {
   const now = new Date();
   const buckets = new Map();
   const addBucket = (label) => {
@@ -618,7 +797,10 @@ function buildRangeData(expenses, rangeKey, currentUserId, categories = []) {
     if (!item.createdAt) return;
     if (item.createdAt < start || item.createdAt > now) return;
     const label = bucketLabel(item.createdAt, mode);
-    buckets.set(label, (buckets.get(label) || 0) + Number(item.amount || 0));
+    buckets.set(
+      label,
+      addMoney(buckets.get(label) || 0, getSignedAmount(item), currency)
+    );
   });
 
   const bucketMap = new Map();
@@ -641,7 +823,7 @@ function buildRangeData(expenses, rangeKey, currentUserId, categories = []) {
     if (!bucket) return;
     bucket.values.set(
       category,
-      (bucket.values.get(category) || 0) + Number(item.amount || 0)
+      addMoney(bucket.values.get(category) || 0, getSignedAmount(item), currency)
     );
   });
 
@@ -694,107 +876,1001 @@ function filterExpensesByMonthKey(expenses, monthKey, currentUserId) {
   );
 }
 
-function calculateGroupBalances(group, expenses) {
+const minorUnitsCache = new Map();
+
+function getCurrencyMinorUnits(currency) {
+  if (currencyMinorUnits[currency] !== undefined) {
+    return currencyMinorUnits[currency];
+  }
+  if (minorUnitsCache.has(currency)) return minorUnitsCache.get(currency);
+  let digits = 2;
+  try {
+    digits = new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    }).resolvedOptions().maximumFractionDigits;
+  } catch (err) {
+    digits = 2;
+  }
+  minorUnitsCache.set(currency, digits);
+  return digits;
+}
+
+function getCurrencyStep(currency) {
+  const digits = getCurrencyMinorUnits(currency);
+  return digits ? `0.${"0".repeat(digits - 1)}1` : "1";
+}
+
+function hasValidMinorUnits(value, currency = "EUR") {
+  const scaled = Number(value || 0) * 10 ** getCurrencyMinorUnits(currency);
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+function getMinorUnitsMessage(currency) {
+  const digits = getCurrencyMinorUnits(currency);
+  return digits
+    ? `${currency} amounts can have at most ${digits} decimal places.`
+    : `${currency} amounts can't have decimal places.`;
+}
+
+function toMinorUnits(value, currency = "EUR") {
+  const amount = Number(value || 0);
+  if (!Number.isFinite(amount)) return 0;
+  const factor = 10 ** getCurrencyMinorUnits(currency);
+  return Math.round(amount * factor);
+}
+
+function fromMinorUnits(units, currency = "EUR") {
+  return units / 10 ** getCurrencyMinorUnits(currency);
+}
+
+function addMoney(total, value, currency = "EUR") {
+  return fromMinorUnits(
+    toMinorUnits(total, currency) + toMinorUnits(value, currency),
+    currency
+  );
+}
+
+function isRefundEntry(expense) {
+  return expense?.entryType === "refund";
+}
+
+function getExpenseExchangeRate(expense, currency) {
+  const from = expense?.currency || currency;
+  if (from === currency) return 1;
+  if (expense.groupCurrency === currency && Number(expense.exchangeRate) > 0) {
+    return Number(expense.exchangeRate);
+  }
+  if (expense.ledgerCurrency === currency) return expense.ledgerRate || null;
+  return getExchangeRate(from, currency);
+}
+
+function isUnconvertedExpense(expense, currency) {
+  return getExpenseExchangeRate(expense, currency) === null;
+}
+
+function getExpenseGroupUnits(expense, currency) {
+  const rate = getExpenseExchangeRate(expense, currency);
+  if (rate === null) return null;
+  return toMinorUnits(Number(expense?.amount || 0) * rate, currency);
+}
+
+function getSignedAmount(expense, currency) {
+  const amount = currency
+    ? fromMinorUnits(getExpenseGroupUnits(expense, currency) || 0, currency)
+    : Number(expense?.amount || 0);
+  return isRefundEntry(expense) ? -amount : amount;
+}
+
+function convertExpenseUnits(unitsByUid, expense, currency) {
+  const uids = Array.from(unitsByUid.keys());
+  const converted = new Map();
+  const totalUnits = getExpenseGroupUnits(expense, currency);
+  if (totalUnits === null) return converted;
+  allocateMinorUnits(
+    totalUnits,
+    uids.map((uid) => unitsByUid.get(uid))
+  ).forEach((units, index) => {
+    converted.set(uids[index], units);
+  });
+  return converted;
+}
+
+function allocateMinorUnits(totalUnits, weights) {
+  if (totalUnits < 0) {
+    return allocateMinorUnits(-totalUnits, weights).map((units) => -units);
+  }
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!weights.length || weightTotal <= 0) return weights.map(() => 0);
+  const exact = weights.map((weight) => (totalUnits * weight) / weightTotal);
+  const allocated = exact.map((value) => Math.floor(value));
+  let remainder =
+    totalUnits - allocated.reduce((sum, units) => sum + units, 0);
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - allocated[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  for (let step = 0; remainder > 0; step += 1, remainder -= 1) {
+    allocated[order[step % order.length].index] += 1;
+  }
+  return allocated;
+}
+
+function getGroupMembers(group) {
+  if (group?.members?.length) return group.members;
+  if (group?.membersCount) {
+    return Array.from({ length: group.membersCount }).map((_, index) => ({
+      uid: `member-${index}`,
+      name: `Member ${index + 1}`,
+    }));
+  }
+  return [];
+}
+
+function createGuestMember(name, email) {
+  return {
+    uid: `guest-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    email,
+    guest: true,
+  };
+}
+
+function findClaimableGuest(group, invite, email) {
+  const guests = (group?.members || []).filter((member) => member.guest);
+  if (invite?.guestUid) {
+    return guests.find((member) => member.uid === invite.guestUid) || null;
+  }
+  const normalized = (email || "").trim().toLowerCase();
+  if (!normalized) return null;
+  return (
+    guests.find(
+      (member) => (member.email || "").trim().toLowerCase() === normalized
+    ) || null
+  );
+}
+
+function renameMemberKey(values, fromUid, toUid) {
+  if (!values || values[fromUid] === undefined) return values;
+  const { [fromUid]: value, ...rest } = values;
+  return { ...rest, [toUid]: value };
+}
+
+function reassignExpenseMember(expense, fromUid, toUid, toName) {
+  const swap = (uid) => (uid === fromUid ? toUid : uid);
+  const updates = {};
+  if (expense.paidByUid === fromUid) {
+    updates.paidByUid = toUid;
+    updates.paidByName = toName;
+  }
+  if (expense.payers?.some((payer) => payer.uid === fromUid)) {
+    updates.payers = expense.payers.map((payer) =>
+      payer.uid === fromUid ? { ...payer, uid: toUid, name: toName } : payer
+    );
+  }
+  if (expense.participantUids?.includes(fromUid)) {
+    updates.participantUids = expense.participantUids.map(swap);
+  }
+  ["exactShares", "splitWeights", "splitPercentages"].forEach((field) => {
+    if (expense[field]?.[fromUid] !== undefined) {
+      updates[field] = renameMemberKey(expense[field], fromUid, toUid);
+    }
+  });
+  if (
+    expense.lineItems?.some((item) => (item.memberUids || []).includes(fromUid))
+  ) {
+    updates.lineItems = expense.lineItems.map((item) => ({
+      ...item,
+      memberUids: (item.memberUids || []).map(swap),
+    }));
+  }
+  return updates;
+}
+
+function isGroupLocked(group) {
+  return group?.status === "finalized" || group?.status === "archived";
+}
+
+function getMemberWeight(group, expense, uid) {
+  const override = expense?.splitWeights?.[uid];
+  if (override !== undefined && override !== "") return Number(override) || 0;
+  const fallback = group?.defaultWeights?.[uid];
+  if (fallback !== undefined && fallback !== "") return Number(fallback) || 0;
+  return 1;
+}
+
+function getExpenseParticipants(expense, group) {
+  const members = getGroupMembers(group);
+  const participantUids = expense?.participantUids || [];
+  if (!participantUids.length) return members;
+  return members.filter((member) => participantUids.includes(member.uid));
+}
+
+function getExpensePayers(expense) {
+  if (expense?.payers?.length) {
+    return expense.payers.map((payer) => ({
+      uid: payer.uid,
+      name: payer.name || "Payer",
+      amount: Number(payer.amount || 0),
+    }));
+  }
+  const payerId = expense?.paidByUid || expense?.createdBy;
+  if (!payerId && !expense?.paidByName) return [];
+  return [
+    {
+      uid: payerId || "",
+      name: expense.paidByName || "Payer",
+      amount: Number(expense.amount || 0),
+    },
+  ];
+}
+
+function calculateItemizedShareUnits(expense, members, currency) {
+  const memberUids = members.map((member) => member.uid);
+  const subtotals = new Map();
+  (expense?.lineItems || []).forEach((item) => {
+    const itemUnits = toMinorUnits(item.amount, currency);
+    const assigned = (item.memberUids || []).filter((uid) =>
+      memberUids.includes(uid)
+    );
+    if (!itemUnits || !assigned.length) return;
+    allocateMinorUnits(
+      itemUnits,
+      assigned.map(() => 1)
+    ).forEach((units, index) => {
+      const uid = assigned[index];
+      subtotals.set(uid, (subtotals.get(uid) || 0) + units);
+    });
+  });
+  const shares = new Map();
+  if (!subtotals.size) return shares;
+  const extrasUnits =
+    toMinorUnits(expense.taxAmount, currency) +
+    toMinorUnits(expense.serviceCharge, currency) +
+    toMinorUnits(expense.tipAmount, currency);
+  const uids = Array.from(subtotals.keys());
+  const extras = allocateMinorUnits(
+    extrasUnits,
+    uids.map((uid) => subtotals.get(uid))
+  );
+  uids.forEach((uid, index) => {
+    shares.set(uid, subtotals.get(uid) + extras[index]);
+  });
+  return shares;
+}
+
+function calculateItemizedShares(expense, members) {
+  const currency = expense?.currency || "EUR";
+  const shares = new Map();
+  calculateItemizedShareUnits(expense, members, currency).forEach(
+    (units, uid) => {
+      shares.set(uid, fromMinorUnits(units, currency));
+    }
+  );
+  return shares;
+}
+
+function calculateExpenseShareUnits(expense, group, currency) {
+  const expenseCurrency = expense.currency || currency;
+  if (expenseCurrency !== currency) {
+    return convertExpenseUnits(
+      calculateExpenseShareUnits(expense, group, expenseCurrency),
+      expense,
+      currency
+    );
+  }
+  const members = getExpenseParticipants(expense, group);
+  const totalUnits = toMinorUnits(expense.amount, currency);
+  const shares = new Map();
+  if (!members.length || !totalUnits) return shares;
+  const allocate = (weights) => {
+    allocateMinorUnits(totalUnits, weights).forEach((units, index) => {
+      shares.set(members[index].uid, units);
+    });
+    return shares;
+  };
+  if (expense.splitType === "exact") {
+    const exactShares = expense.exactShares || {};
+    const exactUnits = members.map((member) =>
+      toMinorUnits(exactShares[member.uid], currency)
+    );
+    if (exactUnits.reduce((sum, units) => sum + units, 0) === totalUnits) {
+      members.forEach((member, index) => {
+        shares.set(member.uid, exactUnits[index]);
+      });
+      return shares;
+    }
+  }
+  if (expense.splitType === "itemized") {
+    const itemizedShares = calculateItemizedShareUnits(expense, members, currency);
+    const itemizedTotal = Array.from(itemizedShares.values()).reduce(
+      (sum, units) => sum + units,
+      0
+    );
+    if (itemizedShares.size && itemizedTotal === totalUnits) {
+      return itemizedShares;
+    }
+  }
+  if (expense.splitType === "percentage") {
+    const percentages = members.map((member) =>
+      Number(expense.splitPercentages?.[member.uid] || 0)
+    );
+    const percentTotal = percentages.reduce((sum, value) => sum + value, 0);
+    if (Math.abs(percentTotal - 100) < 0.01) {
+      return allocate(percentages);
+    }
+  }
+  if (expense.splitType === "weighted") {
+    const weights = members.map((member) =>
+      Math.max(getMemberWeight(group, expense, member.uid), 0)
+    );
+    if (weights.some((weight) => weight > 0)) {
+      return allocate(weights);
+    }
+  }
+  return allocate(members.map(() => 1));
+}
+
+function calculateExpenseShares(expense, group) {
+  const currency = expense.currency || "EUR";
+  const shares = new Map();
+  calculateExpenseShareUnits(expense, group, currency).forEach((units, uid) => {
+    shares.set(uid, fromMinorUnits(units, currency));
+  });
+  return shares;
+}
+
+function calculateExpensePaymentUnits(expense, currency) {
+  const expenseCurrency = expense.currency || currency;
+  if (expenseCurrency !== currency) {
+    return convertExpenseUnits(
+      calculateExpensePaymentUnits(expense, expenseCurrency),
+      expense,
+      currency
+    );
+  }
+  const payers = getExpensePayers(expense).filter((payer) => payer.uid);
+  const totalUnits = toMinorUnits(expense.amount, currency);
+  const payments = new Map();
+  if (!payers.length || !totalUnits) return payments;
+  allocateMinorUnits(
+    totalUnits,
+    payers.map((payer) => payer.amount)
+  ).forEach((units, index) => {
+    const payer = payers[index];
+    payments.set(payer.uid, (payments.get(payer.uid) || 0) + units);
+  });
+  return payments;
+}
+
+function isConfirmedSettlement(settlement) {
+  return (settlement.status || "confirmed") === "confirmed";
+}
+
+function buildSettlementConversion(amount, currency, settlementCurrency, rate) {
+  const exchangeRate = settlementCurrency === currency ? 1 : Number(rate);
+  return {
+    settlementCurrency,
+    exchangeRate,
+    convertedAmount: fromMinorUnits(
+      toMinorUnits(Number(amount) * exchangeRate, settlementCurrency),
+      settlementCurrency
+    ),
+  };
+}
+
+function getReminderId(groupId, fromUid, toUid) {
+  return `${groupId}_${fromUid}_${toUid}`;
+}
+
+function canSendReminder(sentReminders, toUid, now = Date.now()) {
+  return !sentReminders.some(
+    (reminder) =>
+      reminder.toUid === toUid &&
+      reminder.sentAt &&
+      now - reminder.sentAt.getTime() < reminderCooldownMs
+  );
+}
+
+function getInitialSettlementStatus(group, toUid, currentUid) {
+  const receiver = getGroupMembers(group).find((member) => member.uid === toUid);
+  return toUid === currentUid || receiver?.guest ? "confirmed" : "pending";
+}
+
+function getSettlementUnits(settlement, currency) {
+  const from = settlement.currency || currency;
+  if (from === currency) return toMinorUnits(settlement.amount, currency);
+  if (settlement.settlementCurrency === currency) {
+    return toMinorUnits(settlement.convertedAmount, currency);
+  }
+  const amount = convertAmount(settlement.amount, from, currency);
+  return amount === null ? null : toMinorUnits(amount, currency);
+}
+
+function isUnconvertedSettlement(settlement, currency) {
+  return getSettlementUnits(settlement, currency) === null;
+}
+
+function getCurrencyLedgers(group, expenses, settlements = []) {
   if (!group) return [];
+  const groupCurrency = group.currency || "EUR";
+  if (group.balanceMode !== "perCurrency") {
+    return [{ currency: groupCurrency, group, expenses, settlements }];
+  }
   const groupExpenses = expenses.filter((expense) => expense.groupId === group.id);
-  const members = group?.members?.length
-    ? group.members
-    : group?.membersCount
-    ? Array.from({ length: group.membersCount }).map((_, index) => ({
-        uid: `member-${index}`,
-        name: `Member ${index + 1}`,
-      }))
-    : [];
+  const groupSettlements = settlements.filter(
+    (settlement) => settlement.groupId === group.id
+  );
+  const currencies = new Set([
+    groupCurrency,
+    ...groupExpenses.map((expense) => expense.currency || groupCurrency),
+    ...groupSettlements.map((settlement) => settlement.currency || groupCurrency),
+  ]);
+  return Array.from(currencies).map((currency) => ({
+    currency,
+    group: { ...group, currency },
+    expenses: groupExpenses.filter(
+      (expense) => (expense.currency || groupCurrency) === currency
+    ),
+    settlements: groupSettlements.filter(
+      (settlement) => (settlement.currency || groupCurrency) === currency
+    ),
+  }));
+}
+
+function calculateCurrencyBalances(group, expenses, settlements = []) {
+  return getCurrencyLedgers(group, expenses, settlements).map((ledger) => ({
+    currency: ledger.currency,
+    balances: calculateGroupBalances(
+      ledger.group,
+      ledger.expenses,
+      ledger.settlements
+    ),
+  }));
+}
+
+function calculateGroupBalances(group, expenses, settlements = []) {
+  if (!group) return [];
+  const groupExpenses = expenses.filter((expense) => expense.groupId === group.id);
+  const members = getGroupMembers(group);
   if (!members.length) return [];
+  const currency = group.currency || "EUR";
   const balances = new Map(
     members.map((member) => [
       member.uid,
       {
         uid: member.uid,
         name: member.name || member.email || "Member",
-        total: 0,
+        units: 0,
       },
     ])
   );
 
   groupExpenses.forEach((expense) => {
-    const payerId = expense.paidByUid || expense.createdBy;
-    const amount = Number(expense.amount || 0);
-    if (!amount) return;
-    const share = amount / members.length;
-    members.forEach((member) => {
-      const entry = balances.get(member.uid);
+    const shares = calculateExpenseShareUnits(expense, group, currency);
+    if (!shares.size) return;
+    const sign = isRefundEntry(expense) ? -1 : 1;
+    shares.forEach((units, uid) => {
+      const entry = balances.get(uid);
       if (!entry) return;
-      entry.total -= share;
+      entry.units -= sign * units;
     });
-    if (payerId) {
+    const payers = getExpensePayers(expense);
+    calculateExpensePaymentUnits(expense, currency).forEach((units, uid) => {
       const entry =
-        balances.get(payerId) || {
-          uid: payerId,
-          name: expense.paidByName || "Payer",
-          total: 0,
+        balances.get(uid) || {
+          uid,
+          name: payers.find((payer) => payer.uid === uid)?.name || "Payer",
+          units: 0,
         };
-      entry.total += amount;
-      balances.set(payerId, entry);
-    }
+      entry.units += sign * units;
+      balances.set(uid, entry);
+    });
   });
 
-  return Array.from(balances.values());
+  settlements
+    .filter(
+      (settlement) =>
+        settlement.groupId === group.id && isConfirmedSettlement(settlement)
+    )
+    .forEach((settlement) => {
+      const units = getSettlementUnits(settlement, currency);
+      if (units === null) return;
+      [
+        [settlement.fromUid, settlement.fromName, units],
+        [settlement.toUid, settlement.toName, -units],
+      ].forEach(([uid, name, delta]) => {
+        const entry =
+          balances.get(uid) || { uid, name: name || "Member", units: 0 };
+        entry.units += delta;
+        balances.set(uid, entry);
+      });
+    });
+
+  return Array.from(balances.values()).map(({ units, ...entry }) => ({
+    ...entry,
+    total: fromMinorUnits(units, currency),
+  }));
 }
 
-function calculateOverallBalances(groupList, expenses) {
-  const combined = new Map();
-  groupList.forEach((group) => {
-    calculateGroupBalances(group, expenses).forEach((entry) => {
-      const key = entry.uid || entry.name;
-      const next =
-        combined.get(key) || {
-          uid: entry.uid,
-          name: entry.name,
-          total: 0,
-        };
-      next.total += entry.total;
-      combined.set(key, next);
+function calculateBalanceBreakdown(group, expenses, uid, settlements = []) {
+  if (!group || !uid) return [];
+  const currency = group.currency || "EUR";
+  const expenseEntries = expenses
+    .filter((expense) => expense.groupId === group.id)
+    .map((expense) => {
+      const sign = isRefundEntry(expense) ? -1 : 1;
+      return {
+        id: expense.id,
+        createdAt: expense.createdAt,
+        label: expense.note || expense.category || "Expense",
+        paidUnits:
+          sign * (calculateExpensePaymentUnits(expense, currency).get(uid) || 0),
+        shareUnits:
+          sign *
+          (calculateExpenseShareUnits(expense, group, currency).get(uid) || 0),
+      };
     });
+  const settlementEntries = settlements
+    .filter(
+      (settlement) =>
+        settlement.groupId === group.id &&
+        isConfirmedSettlement(settlement) &&
+        (settlement.fromUid === uid || settlement.toUid === uid) &&
+        !isUnconvertedSettlement(settlement, currency)
+    )
+    .map((settlement) => {
+      const units = getSettlementUnits(settlement, currency);
+      const isPayer = settlement.fromUid === uid;
+      return {
+        id: settlement.id,
+        createdAt: settlement.createdAt,
+        label: isPayer
+          ? `Payment to ${settlement.toName}`
+          : `Payment from ${settlement.fromName}`,
+        paidUnits: isPayer ? units : -units,
+        shareUnits: 0,
+      };
+    });
+  let runningUnits = 0;
+  return [...expenseEntries, ...settlementEntries]
+    .filter((entry) => entry.paidUnits || entry.shareUnits)
+    .sort(
+      (a, b) =>
+        (a.createdAt ? a.createdAt.getTime() : 0) -
+        (b.createdAt ? b.createdAt.getTime() : 0)
+    )
+    .map(({ paidUnits, shareUnits, ...entry }) => {
+      runningUnits += paidUnits - shareUnits;
+      return {
+        ...entry,
+        paid: fromMinorUnits(paidUnits, currency),
+        share: fromMinorUnits(shareUnits, currency),
+        net: fromMinorUnits(paidUnits - shareUnits, currency),
+        running: fromMinorUnits(runningUnits, currency),
+      };
+    });
+}
+
+function calculateBalanceHistory(group, expenses, settlements = []) {
+  if (!group) return { labels: [], series: [] };
+  const members = getGroupMembers(group).map((member, index) => ({
+    uid: member.uid,
+    name: member.name || member.email || "Member",
+    color: pieColors[index % pieColors.length],
+    breakdown: calculateBalanceBreakdown(
+      group,
+      expenses,
+      member.uid,
+      settlements
+    ).map((entry) => ({ ...entry, day: toDateInputValue(entry.createdAt) })),
+  }));
+  const labels = Array.from(
+    new Set(members.flatMap((member) => member.breakdown.map((entry) => entry.day)))
+  ).sort();
+  const series = members.map(({ breakdown, ...member }) => {
+    let index = 0;
+    let running = 0;
+    const values = labels.map((day) => {
+      while (index < breakdown.length && breakdown[index].day <= day) {
+        running = breakdown[index].running;
+        index += 1;
+      }
+      return running;
+    });
+    return { ...member, values };
   });
-  return Array.from(combined.values());
+  return { labels, series };
 }
 
-function formatCurrency(value, currency = "EUR") {
-  if (currency === "MIXED") {
-    return `Mixed ${Number(value || 0).toLocaleString()}`;
-  }
-  try {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency,
-      maximumFractionDigits: 2,
-    }).format(Number(value || 0));
-  } catch (err) {
-    return `${currency} ${Number(value || 0).toLocaleString()}`;
+function planSettlements(balances, currency = "EUR") {
+  const toQueue = (sign) =>
+    balances
+      .map((entry) => ({
+        uid: entry.uid,
+        name: entry.name,
+        units: sign * toMinorUnits(entry.total, currency),
+      }))
+      .filter((entry) => entry.units > 0)
+      .sort((a, b) => b.units - a.units);
+  const creditors = toQueue(1);
+  const debtors = toQueue(-1);
+  const transfers = [];
+  let creditorIndex = 0;
+  let debtorIndex = 0;
+  while (creditorIndex < creditors.length && debtorIndex < debtors.length) {
+    const creditor = creditors[creditorIndex];
+    const debtor = debtors[debtorIndex];
+    const units = Math.min(creditor.units, debtor.units);
+    transfers.push({
+      fromUid: debtor.uid,
+      fromName: debtor.name,
+      toUid: creditor.uid,
+      toName: creditor.name,
+      amount: fromMinorUnits(units, currency),
+    });
+    creditor.units -= units;
+    debtor.units -= units;
+    if (!creditor.units) creditorIndex += 1;
+    if (!debtor.units) debtorIndex += 1;
   }
+  return transfers;
 }
 
-function BarChart({ data, maxValue, horizontal = false, xAxis = false }) {
-  return (
-    <div
-      className={`chart-bars ${horizontal ? "chart-bars--horizontal" : ""} ${
-        xAxis ? "chart-bars--xaxis" : ""
-      }`}
-    >
-      {data.map((item, index) => (
-        <div className="chart-bar" key={item.id || item.label || index}>
-          <div
-            className="chart-bar__fill"
-            style={
-              horizontal
-                ? { width: `${Math.round((item.amount / maxValue) * 100)}%` }
-                : { height: `${Math.round((item.amount / maxValue) * 100)}%` }
-            }
-          />
-          <span>{item.label || item.category || "Expense"}</span>
-        </div>
-      ))}
+function calculatePairwiseDebts(group, expenses, settlements = []) {
+  if (!group) return [];
+  const currency = group.currency || "EUR";
+  const names = new Map(
+    getGroupMembers(group).map((member) => [
+      member.uid,
+      member.name || member.email || "Member",
+    ])
+  );
+  const owed = new Map();
+  expenses
+    .filter((expense) => expense.groupId === group.id)
+    .forEach((expense) => {
+      const sign = isRefundEntry(expense) ? -1 : 1;
+      const payments = Array.from(
+        calculateExpensePaymentUnits(expense, currency).entries()
+      );
+      getExpensePayers(expense).forEach((payer) => {
+        if (!names.has(payer.uid)) names.set(payer.uid, payer.name);
+      });
+      calculateExpenseShareUnits(expense, group, currency).forEach(
+        (shareUnits, uid) => {
+          allocateMinorUnits(
+            shareUnits,
+            payments.map(([, units]) => units)
+          ).forEach((units, index) => {
+            const payerUid = payments[index][0];
+            if (!units || payerUid === uid) return;
+            const key = `${uid}|${payerUid}`;
+            owed.set(key, (owed.get(key) || 0) + sign * units);
+          });
+        }
+      );
+    });
+  settlements
+    .filter(
+      (settlement) =>
+        settlement.groupId === group.id && isConfirmedSettlement(settlement)
+    )
+    .forEach((settlement) => {
+      const units = getSettlementUnits(settlement, currency);
+      if (units === null) return;
+      const key = `${settlement.fromUid}|${settlement.toUid}`;
+      if (!names.has(settlement.fromUid)) {
+        names.set(settlement.fromUid, settlement.fromName);
+      }
+      if (!names.has(settlement.toUid)) {
+        names.set(settlement.toUid, settlement.toName);
+      }
+      owed.set(key, (owed.get(key) || 0) - units);
+    });
+  const pairs = new Set(
+    Array.from(owed.keys(), (key) => key.split("|").sort().join("|"))
+  );
+  const transfers = [];
+  pairs.forEach((pair) => {
+    const [first, second] = pair.split("|");
+    const netUnits =
+      (owed.get(`${first}|${second}`) || 0) -
+      (owed.get(`${second}|${first}`) || 0);
+    if (!netUnits) return;
+    const [fromUid, toUid] = netUnits > 0 ? [first, second] : [second, first];
+    transfers.push({
+      fromUid,
+      fromName: names.get(fromUid) || "Member",
+      toUid,
+      toName: names.get(toUid) || "Member",
+      amount: fromMinorUnits(Math.abs(netUnits), currency),
+    });
+  });
+  return transfers.sort((a, b) => b.amount - a.amount);
+}
+
+function planGroupSettlements(group, expenses, settlements = []) {
+  return getCurrencyLedgers(group, expenses, settlements).flatMap((ledger) =>
+    (group.simplifyDebts === false
+      ? calculatePairwiseDebts(ledger.group, ledger.expenses, ledger.settlements)
+      : planSettlements(
+          calculateGroupBalances(
+            ledger.group,
+            ledger.expenses,
+            ledger.settlements
+          ),
+          ledger.currency
+        )
+    ).map((transfer) => ({ ...transfer, currency: ledger.currency }))
+  );
+}
+
+function calculateCounterpartyBalances(groupList, expenses, settlements, uid) {
+  const counterparties = new Map();
+  groupList.forEach((group) => {
+    getCurrencyLedgers(group, expenses, settlements).forEach((ledger) => {
+      const { currency } = ledger;
+      calculatePairwiseDebts(
+        ledger.group,
+        ledger.expenses,
+        ledger.settlements
+      ).forEach((transfer) => {
+        if (transfer.fromUid !== uid && transfer.toUid !== uid) return;
+        const theyOwe = transfer.toUid === uid;
+        const counterpartyUid = theyOwe ? transfer.fromUid : transfer.toUid;
+        const key = `${counterpartyUid}|${currency}`;
+        const entry =
+          counterparties.get(key) || {
+            key,
+            uid: counterpartyUid,
+            name: theyOwe ? transfer.fromName : transfer.toName,
+            currency,
+            net: 0,
+            groups: [],
+          };
+        const amount = theyOwe ? transfer.amount : -transfer.amount;
+        entry.net = addMoney(entry.net, amount, currency);
+        entry.groups.push({ groupId: group.id, groupName: group.name, amount });
+        counterparties.set(key, entry);
+      });
+    });
+  });
+  return Array.from(counterparties.values()).sort(
+    (a, b) => Math.abs(b.net) - Math.abs(a.net)
+  );
+}
+
+function calculateSettlementProgress(
+  groupList,
+  expenses,
+  settlements,
+  currency,
+  getRates = () => referenceRates
+) {
+  const unconverted = new Set();
+  const sumOwed = (balances, groupCurrency) =>
+    balances.reduce(
+      (sum, entry) =>
+        entry.total > 0 ? addMoney(sum, entry.total, groupCurrency) : sum,
+      0
+    );
+  return groupList.reduce(
+    (progress, group) => {
+      const totals = getCurrencyLedgers(group, expenses, settlements).reduce(
+        (acc, ledger) => {
+          const rates = getRates(group.id);
+          if (getExchangeRate(ledger.currency, currency, rates) === null) {
+            unconverted.add(ledger.currency);
+            return acc;
+          }
+          const toCurrency = (amount) =>
+            convertAmount(amount, ledger.currency, currency, rates);
+          const owed = toCurrency(
+            sumOwed(
+              calculateGroupBalances(ledger.group, ledger.expenses),
+              ledger.currency
+            )
+          );
+          const remaining = toCurrency(
+            sumOwed(
+              calculateGroupBalances(
+                ledger.group,
+                ledger.expenses,
+                ledger.settlements
+              ),
+              ledger.currency
+            )
+          );
+          return {
+            owed: addMoney(acc.owed, owed, currency),
+            repaid: addMoney(acc.repaid, Math.max(owed - remaining, 0), currency),
+          };
+        },
+        { owed: 0, repaid: 0 }
+      );
+      return {
+        ...progress,
+        owed: addMoney(progress.owed, totals.owed, currency),
+        repaid: addMoney(progress.repaid, totals.repaid, currency),
+        debts: [
+          ...progress.debts,
+          ...planGroupSettlements(group, expenses, settlements).map(
+            (transfer) => ({
+              ...transfer,
+              groupId: group.id,
+              groupName: group.name,
+            })
+          ),
+        ],
+      };
+    },
+    { owed: 0, repaid: 0, debts: [], unconverted }
+  );
+}
+
+function calculateOverallBalances(
+  groupList,
+  expenses,
+  settlements = [],
+  currency = "EUR",
+  getRates = () => referenceRates
+) {
+  const combined = new Map();
+  groupList.forEach((group) => {
+    const rates = getRates(group.id);
+    calculateCurrencyBalances(group, expenses, settlements).forEach((ledger) => {
+      ledger.balances.forEach((entry) => {
+        const key = entry.uid || entry.name;
+        const next =
+          combined.get(key) || {
+            uid: entry.uid,
+            name: entry.name,
+            total: 0,
+            unconverted: [],
+          };
+        const amount = convertAmount(
+          entry.total,
+          ledger.currency,
+          currency,
+          rates
+        );
+        if (amount === null) {
+          if (entry.total) {
+            next.unconverted.push({
+              currency: ledger.currency,
+              total: entry.total,
+            });
+          }
+        } else {
+          next.total = addMoney(next.total, amount, currency);
+        }
+        combined.set(key, next);
+      });
+    });
+  });
+  return Array.from(combined.values());
+}
+
+function buildUpiUri({ upiId, name, amount, note }) {
+  const params = new URLSearchParams({
+    pa: upiId,
+    pn: name,
+    am: amount.toFixed(2),
+    cu: "INR",
+  });
+  if (note) params.set("tn", note.slice(0, 80));
+  return `upi://pay?${params.toString()}`;
+}
+
+function buildEpcPayload({ name, iban, bic, amount, note }) {
+  return [
+    "BCD",
+    "002",
+    "1",
+    "SCT",
+    bic || "",
+    name.slice(0, 70),
+    iban,
+    `EUR${amount.toFixed(2)}`,
+    "",
+    "",
+    (note || "").slice(0, 140),
+  ].join("\n");
+}
+
+function buildPayPalMeLink({ paypalMe, amount, currency }) {
+  return `https://paypal.me/${encodeURIComponent(paypalMe)}/${amount.toFixed(
+    getCurrencyMinorUnits(currency)
+  )}${currency}`;
+}
+
+function getPaymentRequestOptions(profile, request) {
+  const details = {
+    name: profile.fullName || "Fair Share member",
+    amount: Number(request.amount || 0),
+    note: request.note,
+  };
+  const options = [];
+  if (request.currency === "INR" && profile.upiId) {
+    options.push({
+      id: "upi",
+      label: "UPI",
+      value: buildUpiUri({ ...details, upiId: profile.upiId }),
+      isLink: true,
+    });
+  }
+  if (request.currency === "EUR" && profile.iban) {
+    options.push({
+      id: "epc",
+      label: "SEPA transfer (EPC QR)",
+      value: buildEpcPayload({ ...details, iban: profile.iban, bic: profile.bic }),
+      isLink: false,
+    });
+  }
+  if (profile.paypalMe) {
+    options.push({
+      id: "paypal",
+      label: "PayPal.me",
+      value: buildPayPalMeLink({
+        ...details,
+        paypalMe: profile.paypalMe,
+        currency: request.currency,
+      }),
+      isLink: true,
+    });
+  }
+  return options;
+}
+
+function formatUnconvertedTotals(unconverted) {
+  if (!unconverted.length) return "";
+  return ` (+ ${unconverted
+    .map(
+      (item) =>
+        `${formatCurrency(Math.abs(item.total), item.currency)} to ${
+          item.total >= 0 ? "receive" : "pay"
+        }`
+    )
+    .join(", ")} without a rate)`;
+}
+
+function formatCurrency(value, currency = "EUR") {
+  if (currency === "MIXED") {
+    return `Mixed ${Number(value || 0).toLocaleString()}`;
+  }
+  const digits = getCurrencyMinorUnits(currency);
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(Number(value || 0));
+  } catch (err) {
+    return `${currency} ${Number(value || 0).toLocaleString()}`;
+  }
+}
+
+function BarChart({ data, maxValue, horizontal = false, xAxis = false }) {
+  return (
+    <div
+      className={`chart-bars ${horizontal ? "chart-bars--horizontal" : ""} ${
+        xAxis ? "chart-bars--xaxis" : ""
+      }`}
+    >
+      {data.map((item, index) => (
+        <div className="chart-bar" key={item.id || item.label || index}>
+          <div
+            className="chart-bar__fill"
+            style={
+              horizontal
+                ? { width: `${Math.round((item.amount / maxValue) * 100)}%` }
+                : { height: `${Math.round((item.amount / maxValue) * 100)}%` }
+            }
+          />
+          <span>{item.label || item.category || "Expense"}</span>
+        </div>
+      ))}
     </div>
   );
 }
@@ -846,10 +1922,10 @@ function StackedBarChart({ data, categories }) {
   );
 }
 
-function Donut({ value, total }) {
+function Donut({ value, total, title }) {
   const percent = total > 0 ? Math.round((value / total) * 100) : 0;
   return (
-    <div className="donut">
+    <div className="donut" title={title}>
       <div
         className="donut__track"
         style={{
@@ -864,21 +1940,30 @@ function Donut({ value, total }) {
   );
 }
 
-function LineChart({ data }) {
-  if (!data.length) return <p className="empty">No trend data yet.</p>;
-  const values = data.map((point) => point.value);
+function getLineChartScale(values, positions, width, height) {
   const max = Math.max(...values, 1);
   const min = Math.min(...values, 0);
   const range = max - min || 1;
+  const first = Math.min(...positions);
+  const span = Math.max(...positions) - first || 1;
+  return {
+    toX: (position) => ((position - first) / span) * width,
+    toY: (value) => height - ((value - min) / range) * height,
+  };
+}
+
+function LineChart({ data }) {
+  if (!data.length) return <p className="empty">No trend data yet.</p>;
   const width = 260;
   const height = 90;
-  const step = width / (data.length - 1 || 1);
+  const { toX, toY } = getLineChartScale(
+    data.map((point) => point.value),
+    data.map((point, index) => index),
+    width,
+    height
+  );
   const points = data
-    .map((point, index) => {
-      const x = index * step;
-      const y = height - ((point.value - min) / range) * height;
-      return `${x},${y}`;
-    })
+    .map((point, index) => `${toX(index)},${toY(point.value)}`)
     .join(" ");
   return (
     <div className="line-chart">
@@ -900,10 +1985,74 @@ function LineChart({ data }) {
   );
 }
 
+function BalanceHistoryChart({ labels, series, currency }) {
+  if (!labels.length) return <p className="empty">No balance history yet.</p>;
+  const width = 260;
+  const height = 120;
+  const times = labels.map((day) => (day ? new Date(day).getTime() : null));
+  const firstTime = times.find((time) => time !== null) ?? 0;
+  const positions = times.map((time) => time ?? firstTime);
+  const { toX, toY } = getLineChartScale(
+    series.flatMap((item) => item.values),
+    positions,
+    width,
+    height
+  );
+  return (
+    <div className="line-chart line-chart--tall">
+      <svg viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+        <line
+          x1="0"
+          x2={width}
+          y1={toY(0)}
+          y2={toY(0)}
+          stroke="var(--muted)"
+          strokeDasharray="4 4"
+        />
+        {series.map((item) => (
+          <polyline
+            key={item.uid}
+            fill="none"
+            stroke={item.color}
+            strokeWidth="2"
+            strokeLinejoin="round"
+            strokeLinecap="round"
+            points={item.values
+              .map((value, index) => `${toX(positions[index])},${toY(value)}`)
+              .join(" ")}
+          />
+        ))}
+      </svg>
+      <div className="line-chart__labels">
+        <span>{labels[0] || "Undated"}</span>
+        <span>{labels[labels.length - 1] || "Undated"}</span>
+      </div>
+      <div className="pie__legend">
+        {series.map((item) => {
+          const last = item.values[item.values.length - 1];
+          return (
+            <div key={item.uid} className="pie__item">
+              <div className="pie__label">
+                <span className="pie__dot" style={{ background: item.color }} />
+                <span>{item.name}</span>
+              </div>
+              <strong className={last >= 0 ? "positive" : "negative"}>
+                {formatCurrency(last, currency)}
+              </strong>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 function PieChart({ data }) {
-  const total = data.reduce((sum, item) => sum + item.value, 0) || 1;
+  const total =
+    data.reduce((sum, item) => sum + Math.max(item.value, 0), 0) || 1;
   let cumulative = 0;
   const segments = data
+    .filter((item) => item.value > 0)
     .map((item) => {
       const start = (cumulative / total) * 360;
       cumulative += item.value;
@@ -1120,6 +2269,8 @@ function DashboardView({
   groupTotal,
   groupList,
   expenses,
+  balanceExpenses,
+  settlements,
   totalExpenses,
   summaryCurrency,
   onNavigate,
@@ -1134,6 +2285,7 @@ function DashboardView({
   onTileMonthChange,
   onReorderTiles,
   onResizeTile,
+  getRates,
 }) {
   const hasGroups = groupList.length > 0;
   const hasExpenses = expenses.length > 0;
@@ -1148,7 +2300,10 @@ function DashboardView({
     }));
   const categoryTotals = expenses.reduce((acc, item) => {
     const key = item.category || "Miscellaneous";
-    acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+    acc.set(
+      key,
+      addMoney(acc.get(key) || 0, getSignedAmount(item), summaryCurrency)
+    );
     return acc;
   }, new Map());
   const topCategories = Array.from(categoryTotals.entries())
@@ -1166,8 +2321,17 @@ function DashboardView({
     .slice(0, 6);
   const averageExpense = totalExpenses / (expenses.length || 1);
   const payerTotals = expenses.reduce((acc, item) => {
-    const key = item.paidByName || "Member";
-    acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+    getExpensePayers(item).forEach((payer) => {
+      const key = payer.name || "Member";
+      acc.set(
+        key,
+        addMoney(
+          acc.get(key) || 0,
+          isRefundEntry(item) ? -payer.amount : payer.amount,
+          summaryCurrency
+        )
+      );
+    });
     return acc;
   }, new Map());
   const topPayer = Array.from(payerTotals.entries()).sort(
@@ -1178,7 +2342,10 @@ function DashboardView({
     const key = `${item.createdAt.getFullYear()}-${String(
       item.createdAt.getMonth() + 1
     ).padStart(2, "0")}`;
-    acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+    acc.set(
+      key,
+      addMoney(acc.get(key) || 0, getSignedAmount(item), summaryCurrency)
+    );
     return acc;
   }, new Map());
   const trendData = Array.from(trendBuckets.entries())
@@ -1198,7 +2365,8 @@ function DashboardView({
       expenses,
       tile.rangeKey || "7d",
       currentUserId,
-      expenseCategoryOptions
+      expenseCategoryOptions,
+      summaryCurrency
     );
   const safeMonthlyTable =
     monthlyTable || { monthLabel: "", rows: [], totals: new Map(), totalSpend: 0 };
@@ -1234,7 +2402,11 @@ function DashboardView({
           if (!expense.groupId) return;
           totals.set(
             expense.groupId,
-            (totals.get(expense.groupId) || 0) + Number(expense.amount || 0)
+            addMoney(
+              totals.get(expense.groupId) || 0,
+              getSignedAmount(expense),
+              summaryCurrency
+            )
           );
         });
         const chartData = groupList
@@ -1248,8 +2420,17 @@ function DashboardView({
         const focusGroup = groupList.find(
           (group) => group.id === chartData[0]?.id
         );
-        const focusBalances = calculateGroupBalances(focusGroup, tileExpenses)
-          .filter((entry) => entry.total !== 0)
+        const focusBalances = (focusGroup
+          ? calculateOverallBalances(
+              [focusGroup],
+              balanceExpenses,
+              settlements,
+              focusGroup.currency || "EUR",
+              getRates
+            )
+          : []
+        )
+          .filter((entry) => entry.total !== 0 || entry.unconverted.length)
           .sort((a, b) => Math.abs(b.total) - Math.abs(a.total))
           .slice(0, 4);
         return (
@@ -1281,12 +2462,15 @@ function DashboardView({
                         <div className="list__item" key={entry.uid}>
                           <div>
                             <strong>{entry.name}</strong>
-                            <span>{entry.total >= 0 ? "Gets back" : "Owes"}</span>
+                            <span>
+                              {entry.total >= 0 ? "Gets back" : "Owes"}
+                              {formatUnconvertedTotals(entry.unconverted)}
+                            </span>
                           </div>
                           <p className={entry.total >= 0 ? "positive" : "negative"}>
                             {formatCurrency(
                               Math.abs(entry.total),
-                              focusGroup.currency || summaryCurrency
+                              focusGroup.currency || "EUR"
                             )}
                           </p>
                         </div>
@@ -1306,12 +2490,18 @@ function DashboardView({
       case "totalExpenses": {
         const tileExpenses = getTileExpenses(tile);
         const tileTotal = tileExpenses.reduce(
-          (sum, item) => sum + Number(item.amount || 0),
+          (sum, item) => addMoney(sum, getSignedAmount(item), summaryCurrency),
           0
         );
+        const tileRefunds = tileExpenses
+          .filter(isRefundEntry)
+          .reduce((sum, item) => addMoney(sum, item.amount, summaryCurrency), 0);
         const tileCategoryTotals = tileExpenses.reduce((acc, item) => {
           const key = item.category || "Miscellaneous";
-          acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+          acc.set(
+            key,
+            addMoney(acc.get(key) || 0, getSignedAmount(item), summaryCurrency)
+          );
           return acc;
         }, new Map());
         const tileTopCategories = Array.from(tileCategoryTotals.entries())
@@ -1321,7 +2511,14 @@ function DashboardView({
         return (
           <>
             <strong>{formatCurrency(tileTotal, summaryCurrency)}</strong>
-            <p className="muted">Across all groups</p>
+            <p className="muted">
+              {tileRefunds
+                ? `Net of ${formatCurrency(
+                    tileRefunds,
+                    summaryCurrency
+                  )} in refunds and income`
+                : "Across all groups"}
+            </p>
             {tileTopCategories.length ? (
               <div className="metric-list">
                 {tileTopCategories.map((item) => (
@@ -1355,7 +2552,9 @@ function DashboardView({
                   ) : (
                     <span>{item.category || "Expense"}</span>
                 )}
-                <strong>{formatCurrency(item.amount, summaryCurrency)}</strong>
+                <strong>
+                  {formatCurrency(getSignedAmount(item), summaryCurrency)}
+                </strong>
               </div>
             ))}
           </div>
@@ -1370,7 +2569,11 @@ function DashboardView({
           if (!expense.groupId) return;
           totals.set(
             expense.groupId,
-            (totals.get(expense.groupId) || 0) + Number(expense.amount || 0)
+            addMoney(
+              totals.get(expense.groupId) || 0,
+              getSignedAmount(expense),
+              summaryCurrency
+            )
           );
         });
         return (
@@ -1418,11 +2621,27 @@ function DashboardView({
           </>
         );
       case "insightsStats": {
-        const tileExpenses = getTileExpenses(tile);
-        const balances = calculateOverallBalances(groupList, tileExpenses)
-          .filter((entry) => entry.total !== 0)
+        const balances = calculateOverallBalances(
+          groupList,
+          balanceExpenses,
+          settlements,
+          summaryCurrency,
+          getRates
+        )
+          .filter((entry) => entry.total !== 0 || entry.unconverted.length)
           .sort((a, b) => Math.abs(b.total) - Math.abs(a.total))
           .slice(0, 4);
+        const transfers = groupList
+          .flatMap((group) =>
+            planGroupSettlements(group, balanceExpenses, settlements).map(
+              (transfer) => ({
+                ...transfer,
+                groupId: group.id,
+              })
+            )
+          )
+          .sort((a, b) => b.amount - a.amount)
+          .slice(0, 3);
         return (
           <>
             <div className="card__header">
@@ -1437,7 +2656,10 @@ function DashboardView({
                   <div className="list__item" key={entry.uid || entry.name}>
                     <div>
                       <strong>{entry.name}</strong>
-                      <span>{entry.total >= 0 ? "Needs to receive" : "Needs to pay"}</span>
+                      <span>
+                        {entry.total >= 0 ? "Needs to receive" : "Needs to pay"}
+                        {formatUnconvertedTotals(entry.unconverted)}
+                      </span>
                     </div>
                     <p className={entry.total >= 0 ? "positive" : "negative"}>
                       {formatCurrency(Math.abs(entry.total), summaryCurrency)}
@@ -1448,6 +2670,22 @@ function DashboardView({
             ) : (
               <p className="empty">Add members and expenses to see who owes who.</p>
             )}
+            {transfers.length > 0 && (
+              <div className="metric-list">
+                {transfers.map((transfer) => (
+                  <div
+                    key={`${transfer.groupId}-${transfer.fromUid}-${transfer.toUid}`}
+                  >
+                    <span>
+                      {transfer.fromName} pays {transfer.toName}
+                    </span>
+                    <strong>
+                      {formatCurrency(transfer.amount, transfer.currency)}
+                    </strong>
+                  </div>
+                ))}
+              </div>
+            )}
           </>
         );
       }
@@ -1476,7 +2714,9 @@ function DashboardView({
                   ) : (
                     <p>{item.category || "Expense"}</p>
                     )}
-                    <strong>{formatCurrency(item.amount, summaryCurrency)}</strong>
+                    <strong>
+                      {formatCurrency(getSignedAmount(item), summaryCurrency)}
+                    </strong>
                     <span className="positive">Logged</span>
                   </div>
                 ))}
@@ -1516,7 +2756,10 @@ function DashboardView({
         );
         const totals = tileExpenses.reduce((acc, item) => {
           const key = item.category || "Miscellaneous";
-          acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+          acc.set(
+            key,
+            addMoney(acc.get(key) || 0, getSignedAmount(item), summaryCurrency)
+          );
           return acc;
         }, new Map());
         const data = Array.from(totals.entries())
@@ -1546,7 +2789,10 @@ function DashboardView({
           const key = `${item.createdAt.getFullYear()}-${String(
             item.createdAt.getMonth() + 1
           ).padStart(2, "0")}`;
-          acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+          acc.set(
+            key,
+            addMoney(acc.get(key) || 0, getSignedAmount(item), summaryCurrency)
+          );
           return acc;
         }, new Map());
         const data = Array.from(buckets.entries())
@@ -1558,8 +2804,17 @@ function DashboardView({
       case "topPayer": {
         const tileExpenses = getTileExpenses(tile);
         const totals = tileExpenses.reduce((acc, item) => {
-          const key = item.paidByName || "Member";
-          acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+          getExpensePayers(item).forEach((payer) => {
+            const key = payer.name || "Member";
+            acc.set(
+              key,
+              addMoney(
+                acc.get(key) || 0,
+                isRefundEntry(item) ? -payer.amount : payer.amount,
+                summaryCurrency
+              )
+            );
+          });
           return acc;
         }, new Map());
         const top = Array.from(totals.entries()).sort((a, b) => b[1] - a[1])[0];
@@ -1749,15 +3004,16 @@ function GroupsView({
   onDeleteCsv,
   onUpdateCsvCurrency,
   activeCsvId,
+  reportingCurrency,
 }) {
   const hasGroups = groupList.length > 0;
-  const groupCurrencies = Array.from(
-    new Set(groupList.map((group) => group.currency || "EUR"))
-  );
-  const groupCurrency =
-    groupCurrencies.length === 1 ? groupCurrencies[0] : "MIXED";
   const openBalances = groupList.reduce(
-    (sum, group) => sum + Number(group.total || 0),
+    (sum, group) =>
+      addMoney(
+        sum,
+        convertAmount(group.total, group.currency, reportingCurrency) || 0,
+        reportingCurrency
+      ),
     0
   );
   return (
@@ -1774,8 +3030,9 @@ function GroupsView({
         )}
         {hasGroups ? (
           <div className="list">
-              {groupList.map((group) => (
-                <div className="list__item" key={group.id}>
+            {groupList.map((group) => (
+              <div className="summary-entry" key={group.id}>
+                <div className="list__item">
                   <div>
                     <button
                       className="text-btn"
@@ -1788,23 +3045,82 @@ function GroupsView({
                       <span>{group.membersCount} members</span>
                       <span>{group.type}</span>
                       <span>{group.inviteCount} invites</span>
+                      {isGroupLocked(group) && (
+                        <span className="badge">
+                          {group.status === "archived" ? "Archived" : "Finalized"}
+                        </span>
+                      )}
                     </div>
                   </div>
-                <div className="list__actions">
-                  <p>{formatCurrency(group.total, group.currency)}</p>
-                  <button className="ghost" onClick={() => group.onEdit()}>
-                    Edit
-                  </button>
-                  <button className="ghost" onClick={() => group.onInvite()}>
-                    Invite
-                  </button>
-                  <button
-                    className="danger"
-                    onClick={() => group.onDelete()}
-                  >
-                    Delete
-                  </button>
+                  <div className="list__actions">
+                    <p>{formatCurrency(group.total, group.currency)}</p>
+                    {!isGroupLocked(group) && (
+                      <button className="ghost" onClick={() => group.onEdit()}>
+                        Edit
+                      </button>
+                    )}
+                    {closableGroupTypes.includes(group.type) &&
+                      !isGroupLocked(group) && (
+                        <button
+                          className="ghost"
+                          onClick={() => group.onFinalize()}
+                        >
+                          Finalize
+                        </button>
+                      )}
+                    <button className="ghost" onClick={() => group.onInvite()}>
+                      Invite
+                    </button>
+                    <button
+                      className="danger"
+                      onClick={() => group.onDelete()}
+                    >
+                      Delete
+                    </button>
+                  </div>
                 </div>
+                {isGroupLocked(group) && (
+                  <div className="expense-details">
+                    <span className="muted small">
+                      Finalized
+                      {group.finalizedAt
+                        ? ` on ${group.finalizedAt.toLocaleDateString("en-US", {
+                            month: "short",
+                            day: "numeric",
+                            year: "numeric",
+                          })}`
+                        : ""}{" "}
+                      with {formatCurrency(group.total, group.currency)} spent.
+                      The ledger is read-only.
+                    </span>
+                    {group.finalPlan.length ? (
+                      <div className="metric-list">
+                        {group.finalPlan.map((transfer) => (
+                          <div
+                            key={`${transfer.fromUid}-${transfer.toUid}-${transfer.currency}`}
+                          >
+                            <span>
+                              {transfer.fromName} pays {transfer.toName}
+                            </span>
+                            <strong>
+                              {formatCurrency(
+                                transfer.amount,
+                                transfer.currency || group.currency
+                              )}
+                            </strong>
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="muted small">No payments were needed.</span>
+                    )}
+                    <span className="muted small">
+                      {group.status === "archived"
+                        ? "All settlements are confirmed."
+                        : "Archives automatically once every payment is confirmed."}
+                    </span>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -1825,7 +3141,7 @@ function GroupsView({
           </div>
           <div>
             <span>Open balances</span>
-            <strong>{formatCurrency(openBalances, groupCurrency)}</strong>
+            <strong>{formatCurrency(openBalances, reportingCurrency)}</strong>
           </div>
         </div>
       </article>
@@ -1857,19 +3173,11 @@ function GroupsView({
                   </div>
                 </div>
                 <div className="list__actions">
-                  <select
+                  <CurrencyPicker
                     className="select select--compact"
                     value={file.currency || "GBP"}
-                    onChange={(event) =>
-                      onUpdateCsvCurrency(file, event.target.value)
-                    }
-                  >
-                    {currencyOptions.map((currency) => (
-                      <option key={currency} value={currency}>
-                        {currency}
-                      </option>
-                    ))}
-                  </select>
+                    onChange={(currency) => onUpdateCsvCurrency(file, currency)}
+                  />
                   <button className="ghost" onClick={() => onLoadCsv(file)}>
                     Load
                   </button>
@@ -1891,21 +3199,23 @@ function GroupsView({
 function InsightView({
   groupList,
   expenses,
+  balanceExpenses,
+  settlements,
   selectedGroupId,
   onSelectGroup,
-  currencyOverride,
+  reportCurrency,
+  getRates,
 }) {
   const isAll = selectedGroupId === "all";
   const filteredExpenses = isAll
     ? expenses
     : expenses.filter((item) => item.groupId === selectedGroupId);
-  const totalExpenses = filteredExpenses.reduce(
-    (sum, item) => sum + Number(item.amount || 0),
-    0
-  );
   const categoryTotals = filteredExpenses.reduce((acc, item) => {
     const key = item.category || "Other";
-    acc.set(key, (acc.get(key) || 0) + Number(item.amount || 0));
+    acc.set(
+      key,
+      addMoney(acc.get(key) || 0, getSignedAmount(item), reportCurrency)
+    );
     return acc;
   }, new Map(expenseCategoryOptions.map((category) => [category, 0])));
   const categoryData = Array.from(categoryTotals.entries())
@@ -1913,7 +3223,7 @@ function InsightView({
       label,
       amount,
       value: amount,
-      currency: currencyOverride || itemCurrency(filteredExpenses, label),
+      currency: reportCurrency,
       color: getCategoryColor(label, index),
     }))
     .sort((a, b) => b.value - a.value)
@@ -1923,7 +3233,7 @@ function InsightView({
     label: group.name,
     amount: group.total,
     value: group.total,
-    currency: currencyOverride || group.currency,
+    currency: reportCurrency,
   }));
 
   const topGroups = [...groupTotals]
@@ -1932,10 +3242,16 @@ function InsightView({
 
   const topCategories = [...categoryData].slice(0, 4);
 
-  const settledValue = Math.min(
-    totalExpenses,
-    filteredExpenses.filter((item) => item.amount > 0).length * 0.6
+  const progress = calculateSettlementProgress(
+    isAll
+      ? groupList
+      : groupList.filter((group) => group.id === selectedGroupId),
+    balanceExpenses,
+    settlements,
+    reportCurrency,
+    getRates
   );
+  const remainingDebt = addMoney(progress.owed, -progress.repaid, reportCurrency);
 
   return (
     <section className="grid">
@@ -1963,8 +3279,41 @@ function InsightView({
       </article>
       <article className="card">
         <h3>Settlement progress</h3>
-        <Donut value={settledValue} total={totalExpenses || 1} />
-        <p className="muted">Based on activity in this period.</p>
+        <Donut
+          value={progress.repaid}
+          total={progress.owed}
+          title={`${formatCurrency(
+            progress.repaid,
+            reportCurrency
+          )} repaid, ${formatCurrency(remainingDebt, reportCurrency)} still owed`}
+        />
+        <p className="muted">
+          {progress.owed
+            ? `${formatCurrency(progress.repaid, reportCurrency)} of ${formatCurrency(
+                progress.owed,
+                reportCurrency
+              )} repaid.`
+            : "No debts to settle yet."}
+        </p>
+        {progress.unconverted.size > 0 && (
+          <p className="muted small">
+            Excludes {Array.from(progress.unconverted).join(", ")} balances,
+            which have no exchange rate to {reportCurrency}.
+          </p>
+        )}
+        {progress.debts.length > 0 && (
+          <div className="metric-list">
+            {progress.debts.slice(0, 5).map((debt) => (
+              <div key={`${debt.groupId}-${debt.fromUid}-${debt.toUid}`}>
+                <span>
+                  {debt.fromName} owes {debt.toName}
+                  {isAll ? ` (${debt.groupName})` : ""}
+                </span>
+                <strong>{formatCurrency(debt.amount, debt.currency)}</strong>
+              </div>
+            ))}
+          </div>
+        )}
       </article>
       <article className="card">
         <h3>{isAll ? "Top groups" : "Top categories"}</h3>
@@ -1991,10 +3340,16 @@ function ExpenseView({ expenses, onAddExpense, expenseActionError, onSelectGroup
       acc[key] = (acc[key] || 0) + 1;
       return acc;
     },
-    { equal: 0, exact: 0, weighted: 0 }
+    splitTypeOptions.reduce((acc, option) => {
+      acc[option.value] = 0;
+      return acc;
+    }, {})
   );
   const totalSplits =
-    splitCounts.equal + splitCounts.exact + splitCounts.weighted || 1;
+    splitTypeOptions.reduce(
+      (sum, option) => sum + splitCounts[option.value],
+      0
+    ) || 1;
   const toPercent = (count) => Math.round((count / totalSplits) * 100);
   return (
     <section className="grid">
@@ -2027,7 +3382,7 @@ function ExpenseView({ expenses, onAddExpense, expenseActionError, onSelectGroup
                   <span>{item.note || "No note"}</span>
                 </div>
                 <div className="list__actions">
-                  <p>{formatCurrency(item.amount, item.currency)}</p>
+                  <p>{formatCurrency(getSignedAmount(item), item.currency)}</p>
                   <button className="ghost" onClick={() => item.onEdit()}>
                     Edit
                   </button>
@@ -2045,18 +3400,12 @@ function ExpenseView({ expenses, onAddExpense, expenseActionError, onSelectGroup
       <article className="card">
         <h3>Split types</h3>
         <div className="metric-list">
-          <div>
-            <span>Equal split</span>
-            <strong>{toPercent(splitCounts.equal)}%</strong>
-          </div>
-          <div>
-            <span>Exact amounts</span>
-            <strong>{toPercent(splitCounts.exact)}%</strong>
-          </div>
-          <div>
-            <span>Weighted</span>
-            <strong>{toPercent(splitCounts.weighted)}%</strong>
-          </div>
+          {splitTypeOptions.map((option) => (
+            <div key={option.value}>
+              <span>{option.label}</span>
+              <strong>{toPercent(splitCounts[option.value])}%</strong>
+            </div>
+          ))}
         </div>
       </article>
     </section>
@@ -2160,67 +3509,365 @@ function ActivityView({
   );
 }
 
-function SummaryView({
-  groupList,
-  expenses,
-  selectedGroupId,
-  onSelectGroup,
-  onAddExpense,
-  onEditExpense,
-  onDeleteExpense,
-}) {
-  const selectedGroup =
-    groupList.find((group) => group.id === selectedGroupId) || groupList[0];
-  const activeGroupId = selectedGroup ? selectedGroup.id : "";
-  const groupExpenses = expenses.filter(
-    (expense) => expense.groupId === activeGroupId
-  );
-  const groupTotal = groupExpenses.reduce(
-    (sum, item) => sum + Number(item.amount || 0),
-    0
-  );
-  const groupCurrency =
-    selectedGroup?.currency ||
-    (groupExpenses[0]?.currency ? groupExpenses[0].currency : "EUR");
-  const groupMembers = selectedGroup?.members?.length
-    ? selectedGroup.members
-    : selectedGroup?.membersCount
-    ? Array.from({ length: selectedGroup.membersCount }).map((_, index) => ({
-        uid: `member-${index}`,
-        name: `Member ${index + 1}`,
-      }))
-    : [];
-  const balances = groupMembers.reduce((acc, member) => {
-    acc.set(member.uid, {
-      uid: member.uid,
-      name: member.name || member.email || "Member",
-      total: 0,
-    });
-    return acc;
-  }, new Map());
+function ExpenseDetails({ expense, group }) {
+  const members = getGroupMembers(group);
+  const memberName = (uid) => {
+    const member = members.find((item) => item.uid === uid);
+    return member?.name || member?.email || "Member";
+  };
+  const shares = calculateExpenseShares(expense, group);
+  const extras = [
+    { label: "Tax", amount: Number(expense.taxAmount || 0) },
+    { label: "Service charge", amount: Number(expense.serviceCharge || 0) },
+    { label: "Tip", amount: Number(expense.tipAmount || 0) },
+  ].filter((item) => item.amount);
+  return (
+    <div className="expense-details">
+      <span className="muted small">
+        {isRefundEntry(expense) ? "Refund received by" : "Paid by"}{" "}
+        {getExpensePayers(expense)
+          .map((payer) =>
+            expense.payers?.length
+              ? `${payer.name} (${formatCurrency(payer.amount, expense.currency)})`
+              : payer.name
+          )
+          .join(", ")}{" "}
+        on{" "}
+        {expense.createdAt
+          ? expense.createdAt.toLocaleDateString("en-US", {
+              month: "short",
+              day: "numeric",
+              year: "numeric",
+            })
+          : "an unknown date"}
+      </span>
+      {expense.splitType === "itemized" && expense.lineItems?.length > 0 && (
+        <div className="metric-list">
+          {expense.lineItems.map((item, index) => (
+            <div key={`${item.label}-${index}`}>
+              <span>
+                {item.label || "Item"}
+                <em className="muted">
+                  {" "}
+                  {(item.memberUids || []).map(memberName).join(", ")}
+                </em>
+              </span>
+              <strong>{formatCurrency(item.amount, expense.currency)}</strong>
+            </div>
+          ))}
+          {extras.map((item) => (
+            <div key={item.label}>
+              <span>{item.label}</span>
+              <strong>{formatCurrency(item.amount, expense.currency)}</strong>
+            </div>
+          ))}
+        </div>
+      )}
+      {shares.size > 0 && (
+        <div className="metric-list">
+          {Array.from(shares.entries()).map(([uid, share]) => (
+            <div key={uid}>
+              <span>{memberName(uid)}</span>
+              <strong>{formatCurrency(share, expense.currency)}</strong>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-  groupExpenses.forEach((expense) => {
-    const payerId = expense.paidByUid || expense.createdBy;
-    const amount = Number(expense.amount || 0);
-    if (!groupMembers.length || !amount) return;
-    const share = amount / groupMembers.length;
-    groupMembers.forEach((member) => {
-      const entry = balances.get(member.uid);
-      if (!entry) return;
-      entry.total -= share;
-    });
-    if (balances.has(payerId)) {
-      balances.get(payerId).total += amount;
-    } else if (payerId) {
-      balances.set(payerId, {
-        uid: payerId,
-        name: expense.paidByName || "Payer",
-        total: amount,
+function CurrencyPicker({ value, onChange, className = "", emptyLabel }) {
+  const [search, setSearch] = useState("");
+  const needle = search.trim().toLowerCase();
+  const options = isoCurrencies.filter(
+    (currency) =>
+      currency.code === value ||
+      !needle ||
+      currency.code.toLowerCase().includes(needle) ||
+      currency.name.toLowerCase().includes(needle)
+  );
+  return (
+    <div className="currency-picker">
+      <input
+        type="search"
+        className={className}
+        value={search}
+        onChange={(event) => {
+          setSearch(event.target.value);
+          const code = event.target.value.trim().toUpperCase();
+          if (isoCurrencyLookup.has(code)) onChange(code);
+        }}
+        placeholder="Search currency"
+        aria-label="Search currency"
+      />
+      <select
+        className={className}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {emptyLabel && <option value="">{emptyLabel}</option>}
+        {options.map((currency) => (
+          <option key={currency.code} value={currency.code}>
+            {currency.code} - {currency.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function SettlementCurrencyFields({
+  currency,
+  amount,
+  payCurrency,
+  onPayCurrencyChange,
+  rate,
+  onRateChange,
+}) {
+  const needsRate = payCurrency !== currency;
+  const conversion = buildSettlementConversion(
+    amount || 0,
+    currency,
+    payCurrency,
+    rate || 0
+  );
+  return (
+    <>
+      <label>
+        Paid in
+        <CurrencyPicker value={payCurrency} onChange={onPayCurrencyChange} />
+      </label>
+      {needsRate && (
+        <label>
+          Exchange rate (1 {currency} = ? {payCurrency})
+          <input
+            type="number"
+            min="0"
+            step="0.0001"
+            value={rate}
+            onChange={(event) => onRateChange(event.target.value)}
+          />
+          <span className="muted small">
+            {formatCurrency(Number(amount || 0), currency)} is{" "}
+            {formatCurrency(conversion.convertedAmount, payCurrency)}. The rate
+            and converted amount are stored with the payment.
+          </span>
+        </label>
+      )}
+    </>
+  );
+}
+
+function PaymentQr({ value }) {
+  const [src, setSrc] = useState("");
+  useEffect(() => {
+    let active = true;
+    QRCode.toDataURL(value, { margin: 1, width: 180 })
+      .then((url) => {
+        if (active) setSrc(url);
+      })
+      .catch(() => {
+        if (active) setSrc("");
       });
-    }
-  });
+    return () => {
+      active = false;
+    };
+  }, [value]);
+  if (!src) return null;
+  return <img className="payment-qr" src={src} alt="Payment QR code" />;
+}
+
+function BalanceBreakdown({ entry, group, expenses, settlements }) {
+  const currency = group.currency || "EUR";
+  const rows = calculateBalanceBreakdown(
+    group,
+    expenses,
+    entry.uid,
+    settlements
+  );
+  const isPerCurrency = group.balanceMode === "perCurrency";
+  if (!rows.length) {
+    if (isPerCurrency) return null;
+    return (
+      <div className="expense-details">
+        <span className="muted small">
+          {entry.name} has not paid for or shared in any expense yet.
+        </span>
+      </div>
+    );
+  }
+  return (
+    <div className="expense-details">
+      <span className="muted small">
+        How {entry.name}'s {isPerCurrency ? `${currency} ` : ""}balance adds up,
+        oldest expense first.
+      </span>
+      <div className="table-wrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Expense</th>
+              <th>Paid</th>
+              <th>Share</th>
+              <th>Running net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.id}>
+                <td>
+                  {row.createdAt
+                    ? row.createdAt.toLocaleDateString("en-US", {
+                        month: "short",
+                        day: "numeric",
+                      })
+                    : "-"}
+                </td>
+                <td>{row.label}</td>
+                <td>{row.paid ? formatCurrency(row.paid, currency) : "-"}</td>
+                <td>{row.share ? formatCurrency(row.share, currency) : "-"}</td>
+                <td className={row.running >= 0 ? "positive" : "negative"}>
+                  {formatCurrency(row.running, currency)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-  const balanceList = Array.from(balances.values());
+function SummaryView({
+  groupList,
+  expenses,
+  balanceGroupList,
+  balanceExpenses,
+  selectedGroupId,
+  onSelectGroup,
+  onAddExpense,
+  onEditExpense,
+  onDeleteExpense,
+  settlements,
+  onRecordSettlement,
+  onDeleteSettlement,
+  onSettleCounterparty,
+  onRequestPayment,
+  onSendReminder,
+  sentReminders,
+  currentUserId,
+}) {
+  const [openExpenseId, setOpenExpenseId] = useState("");
+  const [openBalanceUid, setOpenBalanceUid] = useState("");
+  const selectedGroup =
+    groupList.find((group) => group.id === selectedGroupId) || groupList[0];
+  const activeGroupId = selectedGroup ? selectedGroup.id : "";
+  const groupExpenses = expenses.filter(
+    (expense) => expense.groupId === activeGroupId
+  );
+  const ledgerExpenses = balanceExpenses.filter(
+    (expense) => expense.groupId === activeGroupId
+  );
+  const groupCurrency =
+    selectedGroup?.currency ||
+    (groupExpenses[0]?.currency ? groupExpenses[0].currency : "EUR");
+  const groupTotal = groupExpenses.reduce(
+    (sum, item) => addMoney(sum, getSignedAmount(item, groupCurrency), groupCurrency),
+    0
+  );
+  const groupSettlements = settlements.filter(
+    (settlement) => settlement.groupId === activeGroupId
+  );
+  const historyItems = [
+    ...groupExpenses.map((item) => ({ kind: "expense", item })),
+    ...groupSettlements.map((item) => ({ kind: "settlement", item })),
+  ].sort(
+    (a, b) =>
+      (b.item.createdAt ? b.item.createdAt.getTime() : 0) -
+      (a.item.createdAt ? a.item.createdAt.getTime() : 0)
+  );
+  const isPerCurrency = selectedGroup?.balanceMode === "perCurrency";
+  const unconvertedExpenses = isPerCurrency
+    ? []
+    : ledgerExpenses.filter((expense) =>
+        isUnconvertedExpense(expense, groupCurrency)
+      );
+  const unconvertedSettlements = isPerCurrency
+    ? []
+    : groupSettlements.filter((settlement) =>
+        isUnconvertedSettlement(settlement, groupCurrency)
+      );
+  const currencyBalances = calculateCurrencyBalances(
+    selectedGroup,
+    ledgerExpenses,
+    groupSettlements
+  );
+  const balanceList = isPerCurrency
+    ? getGroupMembers(selectedGroup).map((member) => {
+        const totals = currencyBalances
+          .map(({ currency, balances }) => ({
+            currency,
+            total: balances.find((entry) => entry.uid === member.uid)?.total || 0,
+          }))
+          .filter((item) => item.total !== 0);
+        return {
+          uid: member.uid,
+          name: member.name || member.email || "Member",
+          total: 0,
+          totals,
+        };
+      })
+    : calculateGroupBalances(selectedGroup, ledgerExpenses, groupSettlements);
+  const [historyLedger] = getCurrencyLedgers(
+    selectedGroup,
+    ledgerExpenses,
+    groupSettlements
+  );
+  const balanceHistory = historyLedger
+    ? calculateBalanceHistory(
+        historyLedger.group,
+        historyLedger.expenses,
+        historyLedger.settlements
+      )
+    : { labels: [], series: [] };
+  const pendingByUid = groupSettlements
+    .filter((settlement) => settlement.status === "pending")
+    .reduce((acc, settlement) => {
+      const ledgerCurrency = isPerCurrency
+        ? settlement.currency || groupCurrency
+        : groupCurrency;
+      const units = getSettlementUnits(settlement, ledgerCurrency);
+      const currency = units === null ? settlement.currency : ledgerCurrency;
+      const amount =
+        units === null ? settlement.amount : fromMinorUnits(units, currency);
+      [settlement.fromUid, settlement.toUid].forEach((uid) => {
+        const totals = acc.get(uid) || new Map();
+        totals.set(
+          currency,
+          addMoney(totals.get(currency) || 0, amount, currency)
+        );
+        acc.set(uid, totals);
+      });
+      return acc;
+    }, new Map());
+  const settlementPlan = planGroupSettlements(
+    selectedGroup,
+    ledgerExpenses,
+    groupSettlements
+  );
+  const canDeleteSettlement = (settlement) =>
+    !isGroupLocked(selectedGroup) &&
+    (settlement.toUid === currentUserId ||
+      (settlement.createdBy === currentUserId &&
+        settlement.status === "pending"));
+  const counterparties = calculateCounterpartyBalances(
+    balanceGroupList,
+    balanceExpenses,
+    settlements,
+    currentUserId
+  );
   return (
     <section className="summary-layout">
       <article className="card summary-main">
@@ -2238,33 +3885,126 @@ function SummaryView({
                 </option>
               ))}
             </select>
-            <button className="primary" onClick={onAddExpense}>
+            <button
+              className="ghost"
+              onClick={() => onRecordSettlement({ groupId: activeGroupId })}
+              disabled={!selectedGroup}
+            >
+              Record payment
+            </button>
+            <button
+              className="primary"
+              onClick={onAddExpense}
+              disabled={isGroupLocked(selectedGroup)}
+            >
               Add expense
             </button>
           </div>
         </div>
-        {groupExpenses.length ? (
+        {isGroupLocked(selectedGroup) && (
+          <p className="muted small">
+            This group is finalized. Expenses are read-only; payments can still
+            be recorded.
+          </p>
+        )}
+        {unconvertedExpenses.length > 0 && (
+          <p className="muted small">
+            {unconvertedExpenses.length} expense
+            {unconvertedExpenses.length === 1 ? " has" : "s have"} no exchange
+            rate to {groupCurrency} (
+            {Array.from(
+              new Set(unconvertedExpenses.map((expense) => expense.currency))
+            ).join(", ")}
+            ) and {unconvertedExpenses.length === 1 ? "is" : "are"} left out of
+            the balances. Import rates for those dates in Settings.
+          </p>
+        )}
+        {unconvertedSettlements.length > 0 && (
+          <p className="muted small">
+            {unconvertedSettlements.length} payment
+            {unconvertedSettlements.length === 1 ? " was" : "s were"} recorded
+            in a currency with no exchange rate to {groupCurrency} and{" "}
+            {unconvertedSettlements.length === 1 ? "is" : "are"} left out of
+            the balances.
+          </p>
+        )}
+        {historyItems.length ? (
           <div className="list summary-list">
-            {groupExpenses.map((item) => (
-              <div className="list__item" key={item.id}>
-                <div>
-                  <strong>{item.category || "Expense"}</strong>
-                  <span>{item.note || "No note"}</span>
+            {historyItems.map(({ kind, item }) =>
+              kind === "settlement" ? (
+                <div className="list__item" key={item.id}>
+                  <div>
+                    <strong>
+                      {isConfirmedSettlement(item)
+                        ? "Payment"
+                        : `Payment (${item.status})`}
+                    </strong>
+                    <span>
+                      {item.fromName} paid {item.toName}
+                      {item.settlementCurrency !== item.currency
+                        ? ` ${formatCurrency(
+                            item.convertedAmount,
+                            item.settlementCurrency
+                          )} at ${item.exchangeRate}`
+                        : ""}
+                      {item.note ? ` - ${item.note}` : ""}
+                    </span>
+                  </div>
+                  <div className="list__actions">
+                    <p className={isConfirmedSettlement(item) ? "" : "muted"}>
+                      {formatCurrency(item.amount, item.currency)}
+                    </p>
+                    {canDeleteSettlement(item) && (
+                      <button
+                        className="danger"
+                        onClick={() => onDeleteSettlement(item)}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
                 </div>
-                <div className="list__actions">
-                  <p>{formatCurrency(item.amount, item.currency)}</p>
-                  <button className="ghost" onClick={() => onEditExpense(item)}>
-                    Edit
-                  </button>
-                  <button
-                    className="danger"
-                    onClick={() => onDeleteExpense(item)}
-                  >
-                    Delete
-                  </button>
+              ) : (
+                <div className="summary-entry" key={item.id}>
+                  <div className="list__item">
+                    <div>
+                      <button
+                        className="text-btn"
+                        type="button"
+                        onClick={() =>
+                          setOpenExpenseId((prev) => (prev === item.id ? "" : item.id))
+                        }
+                      >
+                        {item.category || "Expense"}
+                      </button>
+                      <span>{item.note || "No note"}</span>
+                    </div>
+                    <div className="list__actions">
+                      <p>{formatCurrency(getSignedAmount(item), item.currency)}</p>
+                      {!isGroupLocked(selectedGroup) && (
+                        <>
+                          <button
+                            className="ghost"
+                            onClick={() => onEditExpense(item)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            className="danger"
+                            onClick={() => onDeleteExpense(item)}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {openExpenseId === item.id && (
+                    <ExpenseDetails expense={item} group={selectedGroup} />
+                  )}
                 </div>
-              </div>
-            ))}
+              )
+            )}
           </div>
         ) : (
           <p className="empty">No expenses for this group yet.</p>
@@ -2297,14 +4037,63 @@ function SummaryView({
           {balanceList.length ? (
             <div className="list">
               {balanceList.map((entry) => (
-                <div className="list__item" key={entry.uid}>
-                  <div>
-                    <strong>{entry.name}</strong>
-                    <span>{entry.total >= 0 ? "Gets back" : "Owes"}</span>
+                <div className="summary-entry" key={entry.uid}>
+                  <div className="list__item">
+                    <div>
+                      <button
+                        className="text-btn"
+                        type="button"
+                        onClick={() =>
+                          setOpenBalanceUid((prev) =>
+                            prev === entry.uid ? "" : entry.uid
+                          )
+                        }
+                      >
+                        {entry.name}
+                      </button>
+                      <span>
+                        {entry.totals
+                          ? entry.totals
+                              .map(
+                                (item) =>
+                                  `${item.total >= 0 ? "Gets back" : "Owes"} ${formatCurrency(
+                                    Math.abs(item.total),
+                                    item.currency
+                                  )}`
+                              )
+                              .join(", ") || "Settled up"
+                          : entry.total >= 0
+                            ? "Gets back"
+                            : "Owes"}
+                        {pendingByUid.get(entry.uid)
+                          ? ` - ${Array.from(pendingByUid.get(entry.uid))
+                              .map(([currency, amount]) =>
+                                formatCurrency(amount, currency)
+                              )
+                              .join(", ")} awaiting confirmation`
+                          : ""}
+                      </span>
+                    </div>
+                    {!entry.totals && (
+                      <p className={entry.total >= 0 ? "positive" : "negative"}>
+                        {formatCurrency(Math.abs(entry.total), groupCurrency)}
+                      </p>
+                    )}
                   </div>
-                  <p className={entry.total >= 0 ? "positive" : "negative"}>
-                    {formatCurrency(Math.abs(entry.total), groupCurrency)}
-                  </p>
+                  {openBalanceUid === entry.uid &&
+                    getCurrencyLedgers(
+                      selectedGroup,
+                      ledgerExpenses,
+                      groupSettlements
+                    ).map((ledger) => (
+                      <BalanceBreakdown
+                        key={ledger.currency}
+                        entry={entry}
+                        group={ledger.group}
+                        expenses={ledger.expenses}
+                        settlements={ledger.settlements}
+                      />
+                    ))}
                 </div>
               ))}
             </div>
@@ -2312,6 +4101,137 @@ function SummaryView({
             <p className="empty">Add members and expenses to see balances.</p>
           )}
         </article>
+        <article className="card">
+          <h3>Balance history</h3>
+          <BalanceHistoryChart
+            labels={balanceHistory.labels}
+            series={balanceHistory.series}
+            currency={groupCurrency}
+          />
+          {isPerCurrency && currencyBalances.length > 1 && (
+            <p className="muted small">
+              Showing {groupCurrency} entries only; other currencies are kept
+              separate.
+            </p>
+          )}
+        </article>
+        <article className="card">
+          <h3>Suggested payments</h3>
+          {settlementPlan.length ? (
+            <div className="list">
+              {settlementPlan.map((transfer) => (
+                <div
+                  className="list__item"
+                  key={`${transfer.fromUid}-${transfer.toUid}-${transfer.currency}`}
+                >
+                  <div>
+                    <strong>{transfer.fromName}</strong>
+                    <span>pays {transfer.toName}</span>
+                  </div>
+                  <div className="list__actions">
+                    <p>{formatCurrency(transfer.amount, transfer.currency)}</p>
+                    {transfer.toUid === currentUserId &&
+                      !transfer.fromUid.startsWith("guest-") && (
+                        <button
+                          className="ghost"
+                          onClick={() => onSendReminder(activeGroupId, transfer)}
+                          disabled={
+                            !canSendReminder(sentReminders, transfer.fromUid)
+                          }
+                        >
+                          Remind
+                        </button>
+                      )}
+                    {transfer.toUid === currentUserId && (
+                      <button
+                        className="ghost"
+                        onClick={() =>
+                          onRequestPayment({
+                            fromName: transfer.fromName,
+                            amount: transfer.amount,
+                            currency: transfer.currency,
+                            note: `Fair Share - ${selectedGroup.name}`,
+                          })
+                        }
+                      >
+                        Request
+                      </button>
+                    )}
+                    <button
+                      className="ghost"
+                      onClick={() =>
+                        onRecordSettlement({ groupId: activeGroupId, ...transfer })
+                      }
+                    >
+                      Settle
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="empty">Everyone is settled up.</p>
+          )}
+          {selectedGroup && (
+            <p className="muted small">
+              {selectedGroup.simplifyDebts === false
+                ? "Showing who owes whom from the original expenses."
+                : "Debts are simplified into the fewest payments."}
+              {isPerCurrency && " Each currency is settled separately."}
+            </p>
+          )}
+        </article>
+        <article className="card">
+          <h3>You and others, across groups</h3>
+          {counterparties.length ? (
+            <div className="list">
+              {counterparties.map((counterparty) => (
+                <div className="list__item" key={counterparty.key}>
+                  <div>
+                    <strong>{counterparty.name}</strong>
+                    <span>
+                      {counterparty.net >= 0 ? "Owes you" : "You owe"} across{" "}
+                      {counterparty.groups
+                        .map((group) => group.groupName)
+                        .join(", ")}
+                    </span>
+                  </div>
+                  <div className="list__actions">
+                    <p className={counterparty.net >= 0 ? "positive" : "negative"}>
+                      {formatCurrency(
+                        Math.abs(counterparty.net),
+                        counterparty.currency
+                      )}
+                    </p>
+                    {counterparty.net > 0 && (
+                      <button
+                        className="ghost"
+                        onClick={() =>
+                          onRequestPayment({
+                            fromName: counterparty.name,
+                            amount: counterparty.net,
+                            currency: counterparty.currency,
+                            note: "Fair Share - settle up",
+                          })
+                        }
+                      >
+                        Request
+                      </button>
+                    )}
+                    <button
+                      className="ghost"
+                      onClick={() => onSettleCounterparty(counterparty)}
+                    >
+                      Settle all
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="empty">You are square with everyone.</p>
+          )}
+        </article>
       </div>
     </section>
   );
@@ -2324,6 +4244,21 @@ function SettingsView({
   profileBusy,
   profileError,
   onOpenPasswordModal,
+  preferredReportingCurrency,
+  reportingCurrency,
+  onReportingCurrencyChange,
+  unconvertedCurrencies,
+  groupList,
+  rateFileRef,
+  rateImportOwnerId,
+  onRateImportOwnerChange,
+  onImportRateFile,
+  rateImportBusy,
+  rateImportError,
+  rateImportMessage,
+  rateStores,
+  onDeleteRateStore,
+  rateCoverageGaps,
 }) {
   return (
     <section className="grid">
@@ -2370,6 +4305,51 @@ function SettingsView({
               placeholder="Street, City"
             />
           </label>
+          <div className="split-editor">
+            <span>Payment details for payment requests</span>
+            <label>
+              UPI ID
+              <input
+                type="text"
+                value={profile.upiId}
+                onChange={(event) => onProfileChange({ upiId: event.target.value })}
+                placeholder="name@bank"
+              />
+            </label>
+            <label>
+              IBAN
+              <input
+                type="text"
+                value={profile.iban}
+                onChange={(event) => onProfileChange({ iban: event.target.value })}
+                placeholder="DE00 0000 0000 0000 0000 00"
+              />
+            </label>
+            <label>
+              BIC
+              <input
+                type="text"
+                value={profile.bic}
+                onChange={(event) => onProfileChange({ bic: event.target.value })}
+                placeholder="Optional"
+              />
+            </label>
+            <label>
+              PayPal.me username
+              <input
+                type="text"
+                value={profile.paypalMe}
+                onChange={(event) =>
+                  onProfileChange({ paypalMe: event.target.value })
+                }
+                placeholder="yourname"
+              />
+            </label>
+            <p className="muted small">
+              Used to build payment links and QR codes on your device when you
+              request money from a group member.
+            </p>
+          </div>
           {profileError && <div className="auth__error">{profileError}</div>}
           <div className="modal__actions">
             <button className="primary" type="submit" disabled={profileBusy}>
@@ -2378,24 +4358,165 @@ function SettingsView({
           </div>
         </form>
       </article>
-    </section>
-  );
-}
-
-export default function App() {
-  const [activeNav, setActiveNav] = useState("Dashboard");
-  const [darkMode, setDarkMode] = useState(false);
-  const [user, setUser] = useState(null);
-  const [groupList, setGroupList] = useState([]);
-  const [expenseList, setExpenseList] = useState([]);
-  const [showGroupModal, setShowGroupModal] = useState(false);
-  const [showExpenseModal, setShowExpenseModal] = useState(false);
-  const [showInviteModal, setShowInviteModal] = useState(false);
-  const [confirmDialog, setConfirmDialog] = useState(null);
-  const [newGroupName, setNewGroupName] = useState("");
-  const [newGroupMembers, setNewGroupMembers] = useState(4);
+      <article className="card">
+        <h3>Reporting currency</h3>
+        <div className="modal__form">
+          <label>
+            Show dashboard and insight totals in
+            <CurrencyPicker
+              className="select"
+              value={preferredReportingCurrency}
+              onChange={onReportingCurrencyChange}
+              emptyLabel={`Automatic (${reportingCurrency})`}
+            />
+          </label>
+        </div>
+        <div className="metric-list">
+          {Object.keys(referenceRates)
+            .filter((currency) => currency !== reportingCurrency)
+            .map((currency) => (
+              <div key={currency}>
+                <span>1 {currency}</span>
+                <strong>
+                  {formatCurrency(
+                    convertAmount(1, currency, reportingCurrency),
+                    reportingCurrency
+                  )}
+                </strong>
+              </div>
+            ))}
+        </div>
+        <p className="muted small">
+          Dashboard and insight totals, including combined balances, are
+          converted with your imported rate for each date when there is one,
+          otherwise with the reference rates above. Group ledgers and recorded
+          payments stay in each group's own currency.
+        </p>
+        {unconvertedCurrencies.length > 0 && (
+          <p className="muted small">
+            No rate for {unconvertedCurrencies.join(", ")}; those entries are left
+            out of converted totals.
+          </p>
+        )}
+      </article>
+      <article className="card">
+        <div className="card__header">
+          <h3>Exchange rates</h3>
+          <button
+            className="ghost"
+            onClick={() => rateFileRef.current?.click()}
+            disabled={rateImportBusy}
+          >
+            {rateImportBusy ? "Importing..." : "Import rate file"}
+          </button>
+        </div>
+        <input
+          ref={rateFileRef}
+          type="file"
+          accept=".xml,.csv,text/csv,text/xml"
+          onChange={onImportRateFile}
+          style={{ display: "none" }}
+        />
+        <div className="modal__form">
+          <label>
+            Store imported rates for
+            <select
+              className="select"
+              value={rateImportOwnerId}
+              onChange={(event) => onRateImportOwnerChange(event.target.value)}
+            >
+              <option value="">Only me</option>
+              {groupList.map((group) => (
+                <option key={group.id} value={group.id}>
+                  {group.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="muted small">
+          Accepts the ECB euro reference rate history (XML or CSV) or a CSV with
+          date,currency,rate columns, all quoted per 1 EUR. Group balances only
+          use that group's rates, so every member sees the same numbers; your
+          own rates apply to reporting-currency totals.
+        </p>
+        {rateImportError && <div className="auth__error">{rateImportError}</div>}
+        {rateImportMessage && <p className="muted small">{rateImportMessage}</p>}
+        {rateStores.length ? (
+          <div className="list">
+            {rateStores.map((store) => (
+              <div className="list__item" key={store.ownerId}>
+                <div>
+                  <strong>{store.name}</strong>
+                  <span>
+                    {store.dayCount} days, {store.firstDate} to {store.lastDate} -{" "}
+                    {store.currencies.join(", ")}
+                  </span>
+                </div>
+                <button className="ghost" onClick={() => onDeleteRateStore(store)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="empty">No imported rates yet.</p>
+        )}
+      </article>
+      <article className="card">
+        <h3>Rate coverage gaps</h3>
+        {rateCoverageGaps.length ? (
+          <div className="list list--compact">
+            {rateCoverageGaps.map((gap) => (
+              <div className="list__item" key={gap.currency}>
+                <div>
+                  <strong>{gap.currency}</strong>
+                  <span>
+                    {gap.dates.slice(0, 6).join(", ")}
+                    {gap.dates.length > 6 ? ` and ${gap.dates.length - 6} more` : ""}
+                  </span>
+                </div>
+                <p>
+                  {gap.dates.length} {gap.dates.length === 1 ? "date" : "dates"}
+                </p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="empty">No expense dates are missing a rate.</p>
+        )}
+      </article>
+    </section>
+  );
+}
+
+export default function App() {
+  const [activeNav, setActiveNav] = useState("Dashboard");
+  const [darkMode, setDarkMode] = useState(false);
+  const [user, setUser] = useState(null);
+  const [groupList, setGroupList] = useState([]);
+  const [expenseDocs, setExpenseDocs] = useState([]);
+  const [settlementList, setSettlementList] = useState([]);
+  const [sentReminders, setSentReminders] = useState([]);
+  const [sentRemindersLoaded, setSentRemindersLoaded] = useState(false);
+  const [expensesLoaded, setExpensesLoaded] = useState(false);
+  const [settlementsLoaded, setSettlementsLoaded] = useState(false);
+  const [receivedReminders, setReceivedReminders] = useState([]);
+  const [showGroupModal, setShowGroupModal] = useState(false);
+  const [showExpenseModal, setShowExpenseModal] = useState(false);
+  const [showSettlementModal, setShowSettlementModal] = useState(false);
+  const [showInviteModal, setShowInviteModal] = useState(false);
+  const [confirmDialog, setConfirmDialog] = useState(null);
+  const [newGroupName, setNewGroupName] = useState("");
+  const [newGroupMembers, setNewGroupMembers] = useState(4);
   const [newGroupCurrency, setNewGroupCurrency] = useState("EUR");
   const [newGroupType, setNewGroupType] = useState(groupTypes[0]);
+  const [newGroupWeights, setNewGroupWeights] = useState({});
+  const [newGroupSimplify, setNewGroupSimplify] = useState(true);
+  const [newGroupPerCurrency, setNewGroupPerCurrency] = useState(false);
+  const [newGroupReminderCadence, setNewGroupReminderCadence] = useState(0);
+  const [guestName, setGuestName] = useState("");
+  const [guestEmail, setGuestEmail] = useState("");
   const [groupError, setGroupError] = useState("");
   const [groupBusy, setGroupBusy] = useState(false);
   const [groupActionError, setGroupActionError] = useState("");
@@ -2410,12 +4531,43 @@ export default function App() {
   const [expenseNote, setExpenseNote] = useState("");
   const [expenseDate, setExpenseDate] = useState(toDateInputValue(new Date()));
   const [expenseCurrency, setExpenseCurrency] = useState("EUR");
+  const [expenseRate, setExpenseRate] = useState("");
   const [expensePaidBy, setExpensePaidBy] = useState("");
+  const [expenseMultiPayer, setExpenseMultiPayer] = useState(false);
+  const [expensePayerAmounts, setExpensePayerAmounts] = useState({});
   const [expenseSplitType, setExpenseSplitType] = useState("equal");
+  const [expenseEntryType, setExpenseEntryType] = useState("expense");
+  const [expenseExactShares, setExpenseExactShares] = useState({});
+  const [expenseWeights, setExpenseWeights] = useState({});
+  const [expensePercentages, setExpensePercentages] = useState({});
+  const [expenseLineItems, setExpenseLineItems] = useState([]);
+  const [expenseTax, setExpenseTax] = useState("");
+  const [expenseServiceCharge, setExpenseServiceCharge] = useState("");
+  const [expenseTip, setExpenseTip] = useState("");
+  const [expenseParticipants, setExpenseParticipants] = useState([]);
+  const [settlementGroupId, setSettlementGroupId] = useState("");
+  const [settlementFromUid, setSettlementFromUid] = useState("");
+  const [settlementToUid, setSettlementToUid] = useState("");
+  const [settlementAmount, setSettlementAmount] = useState("");
+  const [settlementDate, setSettlementDate] = useState(
+    toDateInputValue(new Date())
+  );
+  const [settlementNote, setSettlementNote] = useState("");
+  const [settlementPayCurrency, setSettlementPayCurrency] = useState("EUR");
+  const [settlementRate, setSettlementRate] = useState("1");
+  const [settlementLedgerCurrency, setSettlementLedgerCurrency] = useState("");
+  const [settlementError, setSettlementError] = useState("");
+  const [settlementBusy, setSettlementBusy] = useState(false);
+  const [counterpartySettle, setCounterpartySettle] = useState(null);
+  const [counterpartyAmount, setCounterpartyAmount] = useState("");
+  const [counterpartyError, setCounterpartyError] = useState("");
+  const [paymentRequest, setPaymentRequest] = useState(null);
+  const [paymentRequestError, setPaymentRequestError] = useState("");
   const [editingExpenseId, setEditingExpenseId] = useState("");
   const [editingGroupId, setEditingGroupId] = useState("");
   const [inviteGroupId, setInviteGroupId] = useState("");
   const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteGuestUid, setInviteGuestUid] = useState("");
   const [inviteError, setInviteError] = useState("");
   const [inviteBusy, setInviteBusy] = useState(false);
   const [receivedInvites, setReceivedInvites] = useState([]);
@@ -2424,6 +4576,8 @@ export default function App() {
   const [showUserMenu, setShowUserMenu] = useState(false);
   const userMenuRef = useRef(null);
   const notifRef = useRef(null);
+  const autoRemindedRef = useRef(new Set());
+  const autoArchivedRef = useRef(new Set());
   const [isNavOpen, setIsNavOpen] = useState(false);
   const [isSearchExpanded, setIsSearchExpanded] = useState(false);
   const inactivityTimerRef = useRef(null);
@@ -2435,6 +4589,10 @@ export default function App() {
     phone: "",
     address: "",
     email: "",
+    upiId: "",
+    iban: "",
+    bic: "",
+    paypalMe: "",
   });
   const [profileBusy, setProfileBusy] = useState(false);
   const [profileError, setProfileError] = useState("");
@@ -2452,7 +4610,13 @@ export default function App() {
   const [dashboardTiles, setDashboardTiles] = useState(defaultDashboardTiles);
   const [importedExpenses, setImportedExpenses] = useState([]);
   const [importedCsvFiles, setImportedCsvFiles] = useState([]);
-  const [importCurrencyOverride, setImportCurrencyOverride] = useState("");
+  const [preferredReportingCurrency, setPreferredReportingCurrency] =
+    useState("");
+  const [rateDocs, setRateDocs] = useState([]);
+  const [rateImportOwnerId, setRateImportOwnerId] = useState("");
+  const [rateImportBusy, setRateImportBusy] = useState(false);
+  const [rateImportError, setRateImportError] = useState("");
+  const [rateImportMessage, setRateImportMessage] = useState("");
   const [activeCsvId, setActiveCsvId] = useState("");
   const [importError, setImportError] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
@@ -2461,8 +4625,79 @@ export default function App() {
   const searchRef = useRef(null);
   const searchInputRef = useRef(null);
   const importFileRef = useRef(null);
+  const rateFileRef = useRef(null);
   const [preferencesLoaded, setPreferencesLoaded] = useState(false);
 
+  const rateDays = useMemo(() => {
+    const mergeDays = (target, days) => {
+      Object.entries(days).forEach(([date, rates]) => {
+        target[date] = { ...(target[date] || {}), ...rates };
+      });
+      return target;
+    };
+    const personal = rateDocs
+      .filter((item) => item.ownerType === "user")
+      .reduce((acc, item) => mergeDays(acc, item.days), {});
+    const byGroup = new Map();
+    const groupOnly = new Map();
+    rateDocs
+      .filter((item) => item.ownerType === "group")
+      .forEach((item) => {
+        byGroup.set(
+          item.ownerId,
+          mergeDays(
+            byGroup.get(item.ownerId) || mergeDays({}, personal),
+            item.days
+          )
+        );
+        groupOnly.set(
+          item.ownerId,
+          mergeDays(groupOnly.get(item.ownerId) || {}, item.days)
+        );
+      });
+    return { personal, byGroup, groupOnly };
+  }, [rateDocs]);
+
+  const getRateDays = (groupId) =>
+    rateDays.byGroup.get(groupId) || rateDays.personal;
+
+  const getGroupRateDays = (groupId) => rateDays.groupOnly.get(groupId) || {};
+
+  const lookupExchangeRate = (from, to, date, groupId) =>
+    getDatedExchangeRate(
+      from,
+      to,
+      date,
+      groupId ? getGroupRateDays(groupId) : rateDays.personal
+    ) || getExchangeRate(from, to);
+
+  const expenseList = useMemo(() => {
+    const groupCurrencies = new Map(
+      groupList.map((group) => [group.id, group.currency || "EUR"])
+    );
+    return expenseDocs.map((expense) => {
+      const from = expense.currency || "EUR";
+      const groupCurrency = groupCurrencies.get(expense.groupId);
+      if (
+        !groupCurrency ||
+        from === groupCurrency ||
+        (expense.groupCurrency === groupCurrency && expense.exchangeRate > 0)
+      ) {
+        return expense;
+      }
+      return {
+        ...expense,
+        ledgerCurrency: groupCurrency,
+        ledgerRate: lookupExchangeRate(
+          from,
+          groupCurrency,
+          expense.createdAt,
+          expense.groupId
+        ),
+      };
+    });
+  }, [expenseDocs, groupList, rateDays]);
+
   useEffect(() => {
     document.documentElement.dataset.theme = darkMode ? "dark" : "light";
   }, [darkMode]);
@@ -2545,6 +4780,7 @@ export default function App() {
       dashboardTiles,
       selectedGroupId,
       insightGroupId,
+      reportingCurrency: preferredReportingCurrency,
       importedExpenses: serializeImportedExpenses(importedExpenses),
       importedCsvFiles: serializeImportedCsvFiles(importedCsvFiles),
     };
@@ -2560,6 +4796,7 @@ export default function App() {
     dashboardTiles,
     selectedGroupId,
     insightGroupId,
+    preferredReportingCurrency,
     importedExpenses,
     importedCsvFiles,
   ]);
@@ -2619,6 +4856,13 @@ export default function App() {
             membersCount,
             membersTarget: Number(data.membersTarget || data.members || membersCount || 0),
             members: Array.isArray(data.members) ? data.members : [],
+            defaultWeights: data.defaultWeights || {},
+            simplifyDebts: data.simplifyDebts !== false,
+            balanceMode: data.balanceMode || "convert",
+            reminderCadence: Number(data.reminderCadence || 0),
+            status: data.status || "active",
+            finalPlan: Array.isArray(data.finalPlan) ? data.finalPlan : [],
+            finalizedAt: normalizeDate(data.finalizedAt),
             total: data.total || 0,
             currency: data.currency || "EUR",
             type: data.type || groupTypes[0],
@@ -2662,9 +4906,11 @@ export default function App() {
   }, [user]);
 
   useEffect(() => {
+    setExpensesLoaded(false);
     if (!user) return;
     if (!groupList.length) {
-      setExpenseList([]);
+      setExpenseDocs([]);
+      setExpensesLoaded(true);
       return;
     }
     const expensesRef = collection(db, "expenses");
@@ -2680,10 +4926,25 @@ export default function App() {
         amount: data.amount || 0,
         note: data.note || "",
         currency: data.currency || "EUR",
+        groupCurrency: data.groupCurrency || "",
+        exchangeRate: Number(data.exchangeRate || 0),
+        groupAmount: Number(data.groupAmount || 0),
         paidByUid: data.paidByUid || "",
         paidByName: data.paidByName || "",
+        payers: Array.isArray(data.payers) ? data.payers : [],
+        entryType: data.entryType || "expense",
         createdBy: data.createdBy || "",
         splitType: data.splitType || "equal",
+        exactShares: data.exactShares || {},
+        splitWeights: data.splitWeights || {},
+        splitPercentages: data.splitPercentages || {},
+        lineItems: Array.isArray(data.lineItems) ? data.lineItems : [],
+        taxAmount: data.taxAmount || 0,
+        serviceCharge: data.serviceCharge || 0,
+        tipAmount: data.tipAmount || 0,
+        participantUids: Array.isArray(data.participantUids)
+          ? data.participantUids
+          : [],
         createdAt: createdAt || updatedAt || new Date(),
         updatedAt,
       };
@@ -2695,10 +4956,13 @@ export default function App() {
     }
 
     let allExpenses = [];
-    const mergeExpenses = () => {
+    const loadedChunks = new Set();
+    const mergeExpenses = (index) => {
       const merged = new Map();
       allExpenses.forEach((item) => merged.set(item.id, item));
-      setExpenseList(sortExpensesByLatest(Array.from(merged.values())));
+      setExpenseDocs(sortExpensesByLatest(Array.from(merged.values())));
+      loadedChunks.add(index);
+      setExpensesLoaded(loadedChunks.size === groupIdChunks.length);
     };
 
     const unsubscribers = groupIdChunks.map((chunk, index) => {
@@ -2713,13 +4977,131 @@ export default function App() {
             ),
             ...chunkExpenses,
           ];
-          mergeExpenses();
+          mergeExpenses(index);
         },
         () => {
           allExpenses = allExpenses.filter(
             (item) => !chunk.includes(item.groupId)
           );
-          mergeExpenses();
+          mergeExpenses(index);
+        }
+      );
+    });
+
+    return () => {
+      unsubscribers.forEach((unsub) => unsub());
+    };
+  }, [user, groupList]);
+
+  useEffect(() => {
+    setSettlementsLoaded(false);
+    if (!user) return;
+    if (!groupList.length) {
+      setSettlementList([]);
+      setSettlementsLoaded(true);
+      return;
+    }
+    const settlementsRef = collection(db, "settlements");
+    const groupIds = groupList.map((group) => group.id);
+    const buildSettlement = (docSnap) => {
+      const data = docSnap.data();
+      const createdAt = normalizeDate(data.createdAt);
+      return {
+        id: docSnap.id,
+        groupId: data.groupId || "",
+        fromUid: data.fromUid || "",
+        fromName: data.fromName || "Member",
+        toUid: data.toUid || "",
+        toName: data.toName || "Member",
+        amount: Number(data.amount || 0),
+        currency: data.currency || "EUR",
+        note: data.note || "",
+        settlementCurrency: data.settlementCurrency || data.currency || "EUR",
+        exchangeRate: Number(data.exchangeRate || 1),
+        convertedAmount: Number(data.convertedAmount ?? data.amount ?? 0),
+        status: data.status || "confirmed",
+        batchId: data.batchId || "",
+        createdBy: data.createdBy || "",
+        createdAt: createdAt || new Date(),
+      };
+    };
+
+    const groupIdChunks = [];
+    for (let i = 0; i < groupIds.length; i += 10) {
+      groupIdChunks.push(groupIds.slice(i, i + 10));
+    }
+
+    let allSettlements = [];
+    const loadedChunks = new Set();
+    const mergeSettlements = (index) => {
+      const merged = new Map();
+      allSettlements.forEach((item) => merged.set(item.id, item));
+      setSettlementList(sortExpensesByLatest(Array.from(merged.values())));
+      loadedChunks.add(index);
+      setSettlementsLoaded(loadedChunks.size === groupIdChunks.length);
+    };
+
+    const unsubscribers = groupIdChunks.map((chunk, index) => {
+      const q = query(settlementsRef, where("groupId", "in", chunk));
+      return onSnapshot(
+        q,
+        (snapshot) => {
+          allSettlements = [
+            ...allSettlements.filter((item) => !chunk.includes(item.groupId)),
+            ...snapshot.docs.map(buildSettlement),
+          ];
+          mergeSettlements(index);
+        },
+        () => {
+          allSettlements = allSettlements.filter(
+            (item) => !chunk.includes(item.groupId)
+          );
+          mergeSettlements(index);
+        }
+      );
+    });
+
+    return () => {
+      unsubscribers.forEach((unsub) => unsub());
+    };
+  }, [user, groupList]);
+
+  useEffect(() => {
+    if (!user) {
+      setRateDocs([]);
+      return;
+    }
+    const ratesRef = collection(db, "exchangeRates");
+    const ownerIds = [user.uid, ...groupList.map((group) => group.id)];
+    const ownerIdChunks = [];
+    for (let i = 0; i < ownerIds.length; i += 10) {
+      ownerIdChunks.push(ownerIds.slice(i, i + 10));
+    }
+
+    let allRates = [];
+    const unsubscribers = ownerIdChunks.map((chunk) => {
+      const q = query(ratesRef, where("ownerId", "in", chunk));
+      return onSnapshot(
+        q,
+        (snapshot) => {
+          allRates = [
+            ...allRates.filter((item) => !chunk.includes(item.ownerId)),
+            ...snapshot.docs.map((docSnap) => {
+              const data = docSnap.data();
+              return {
+                id: docSnap.id,
+                ownerId: data.ownerId || "",
+                ownerType: data.ownerType || "user",
+                month: data.month || "",
+                days: data.days || {},
+              };
+            }),
+          ];
+          setRateDocs(allRates);
+        },
+        () => {
+          allRates = allRates.filter((item) => !chunk.includes(item.ownerId));
+          setRateDocs(allRates);
         }
       );
     });
@@ -2729,9 +5111,108 @@ export default function App() {
     };
   }, [user, groupList]);
 
+  useEffect(() => {
+    if (!user || !expensesLoaded || !settlementsLoaded) return;
+    groupList
+      .filter((group) => group.status === "finalized")
+      .filter((group) => !autoArchivedRef.current.has(group.id))
+      .filter(
+        (group) =>
+          !settlementList.some(
+            (settlement) =>
+              settlement.groupId === group.id && settlement.status === "pending"
+          ) && !planGroupSettlements(group, expenseList, settlementList).length
+      )
+      .forEach((group) => {
+        autoArchivedRef.current.add(group.id);
+        updateDoc(doc(db, "groups", group.id), {
+          status: "archived",
+          archivedAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        }).catch(() => {
+          autoArchivedRef.current.delete(group.id);
+          setGroupActionError(`Unable to archive ${group.name}. Try again.`);
+        });
+      });
+  }, [
+    user,
+    groupList,
+    expenseList,
+    settlementList,
+    expensesLoaded,
+    settlementsLoaded,
+  ]);
+
+  useEffect(() => {
+    if (!user) {
+      setSentReminders([]);
+      setSentRemindersLoaded(false);
+      setReceivedReminders([]);
+      return;
+    }
+    const remindersRef = collection(db, "reminders");
+    const buildReminder = (docSnap) => {
+      const data = docSnap.data();
+      return {
+        id: docSnap.id,
+        groupId: data.groupId || "",
+        groupName: data.groupName || "",
+        fromUid: data.fromUid || "",
+        fromName: data.fromName || "Member",
+        toUid: data.toUid || "",
+        toName: data.toName || "Member",
+        amount: Number(data.amount || 0),
+        currency: data.currency || "EUR",
+        amounts:
+          Array.isArray(data.amounts) && data.amounts.length
+            ? data.amounts
+            : [
+                {
+                  amount: Number(data.amount || 0),
+                  currency: data.currency || "EUR",
+                },
+              ],
+        sentAt: normalizeDate(data.sentAt) || new Date(),
+        seenAt: normalizeDate(data.seenAt),
+      };
+    };
+    const unsubSent = onSnapshot(
+      query(remindersRef, where("fromUid", "==", user.uid)),
+      (snapshot) => {
+        setSentReminders(snapshot.docs.map(buildReminder));
+        setSentRemindersLoaded(true);
+      },
+      () => {
+        setSentReminders([]);
+      }
+    );
+    const unsubReceived = onSnapshot(
+      query(remindersRef, where("toUid", "==", user.uid)),
+      (snapshot) => {
+        setReceivedReminders(snapshot.docs.map(buildReminder));
+      },
+      () => {
+        setReceivedReminders([]);
+      }
+    );
+    return () => {
+      unsubSent();
+      unsubReceived();
+    };
+  }, [user]);
+
   useEffect(() => {
     if (!user) {
-      setProfile({ fullName: "", phone: "", address: "", email: "" });
+      setProfile({
+        fullName: "",
+        phone: "",
+        address: "",
+        email: "",
+        upiId: "",
+        iban: "",
+        bic: "",
+        paypalMe: "",
+      });
       setPreferencesLoaded(false);
       return;
     }
@@ -2748,6 +5229,10 @@ export default function App() {
           phone: data.phone || "",
           address: data.address || "",
           email: user.email || data.email || "",
+          upiId: data.upiId || "",
+          iban: data.iban || "",
+          bic: data.bic || "",
+          paypalMe: data.paypalMe || "",
         });
         if (!preferencesLoaded) {
           const prefs = data.preferences || {};
@@ -2770,6 +5255,9 @@ export default function App() {
           if (prefs.insightGroupId) {
             setInsightGroupId(prefs.insightGroupId);
           }
+          if (prefs.reportingCurrency) {
+            setPreferredReportingCurrency(prefs.reportingCurrency);
+          }
           if (Array.isArray(prefs.importedExpenses)) {
             setImportedExpenses(hydrateImportedExpenses(prefs.importedExpenses));
           }
@@ -2786,6 +5274,10 @@ export default function App() {
           phone: "",
           address: "",
           email: user.email || "",
+          upiId: "",
+          iban: "",
+          bic: "",
+          paypalMe: "",
         });
         if (!preferencesLoaded) {
           setPreferencesLoaded(true);
@@ -2817,6 +5309,7 @@ export default function App() {
             groupName: data.groupName || "Group invite",
             fromName: data.fromName || "",
             fromEmail: data.fromEmail || "",
+            guestUid: data.guestUid || "",
           };
         });
         setReceivedInvites(nextInvites);
@@ -2922,15 +5415,21 @@ export default function App() {
   }, [user]);
 
   const groupTotals = useMemo(() => {
+    const currencies = new Map(
+      groupList.map((group) => [group.id, group.currency])
+    );
     const totals = new Map();
     expenseList.forEach((expense) => {
       if (!expense.groupId) return;
-      const next =
-        (totals.get(expense.groupId) || 0) + Number(expense.amount || 0);
+      const next = addMoney(
+        totals.get(expense.groupId) || 0,
+        getSignedAmount(expense, currencies.get(expense.groupId)),
+        currencies.get(expense.groupId)
+      );
       totals.set(expense.groupId, next);
     });
     return totals;
-  }, [expenseList]);
+  }, [expenseList, groupList]);
 
   const groupLookup = useMemo(() => {
     return new Map(groupList.map((group) => [group.id, group]));
@@ -2989,7 +5488,11 @@ export default function App() {
   }, [sentInvites]);
 
   const groupTotal = useMemo(
-    () => groupListWithTotals.reduce((sum, group) => sum + group.total, 0),
+    () =>
+      groupListWithTotals.reduce(
+        (sum, group) => addMoney(sum, group.total, group.currency),
+        0
+      ),
     [groupListWithTotals]
   );
 
@@ -3019,16 +5522,113 @@ export default function App() {
     [filteredExpenses, importedExpenses]
   );
 
+  const reportingCurrency = useMemo(() => {
+    if (preferredReportingCurrency) return preferredReportingCurrency;
+    const detected = overallCurrency(dashboardExpenses);
+    return detected === "MIXED" ? "EUR" : detected;
+  }, [dashboardExpenses, preferredReportingCurrency]);
+
+  const getCurrentRates = (groupId) =>
+    getRatesForDate(getRateDays(groupId), new Date());
+
+  const toReportingExpense = (expense) =>
+    convertExpense(
+      expense,
+      reportingCurrency,
+      getRatesForDate(getRateDays(expense.groupId), expense.createdAt)
+    );
+
+  const reportingExpenses = useMemo(
+    () => filteredExpenses.map(toReportingExpense).filter(Boolean),
+    [filteredExpenses, reportingCurrency, rateDays]
+  );
+
+  const dashboardReportingExpenses = useMemo(
+    () => dashboardExpenses.map(toReportingExpense).filter(Boolean),
+    [dashboardExpenses, reportingCurrency, rateDays]
+  );
+
+  const unconvertedCurrencies = useMemo(
+    () =>
+      Array.from(
+        new Set(
+          dashboardExpenses
+            .filter((expense) => !toReportingExpense(expense))
+            .map((expense) => expense.currency || "EUR")
+        )
+      ),
+    [dashboardExpenses, reportingCurrency, rateDays]
+  );
+
+  const rateStores = useMemo(() => {
+    const stores = new Map();
+    rateDocs.forEach((item) => {
+      const store =
+        stores.get(item.ownerId) || {
+          ownerId: item.ownerId,
+          ownerType: item.ownerType,
+          name:
+            item.ownerType === "group"
+              ? groupLookup.get(item.ownerId)?.name || "Group"
+              : "Only me",
+          dates: new Set(),
+          currencies: new Set(),
+        };
+      Object.entries(item.days).forEach(([date, rates]) => {
+        store.dates.add(date);
+        Object.keys(rates).forEach((code) => store.currencies.add(code));
+      });
+      stores.set(item.ownerId, store);
+    });
+    return Array.from(stores.values()).map((store) => {
+      const dates = Array.from(store.dates).sort();
+      return {
+        ...store,
+        dayCount: dates.length,
+        firstDate: dates[0] || "",
+        lastDate: dates[dates.length - 1] || "",
+        currencies: Array.from(store.currencies).sort(),
+      };
+    });
+  }, [rateDocs, groupLookup]);
+
+  const rateCoverageGaps = useMemo(() => {
+    const gaps = new Map();
+    expenseList.forEach((expense) => {
+      const expenseCurrency = expense.currency || "EUR";
+      const currencies = new Set([
+        expenseCurrency,
+        groupLookup.get(expense.groupId)?.currency || expenseCurrency,
+        reportingCurrency,
+      ]);
+      if (currencies.size < 2) return;
+      const dated =
+        findDatedRates(getRateDays(expense.groupId), expense.createdAt) || {};
+      currencies.forEach((code) => {
+        if (code === "EUR" || dated[code]) return;
+        const dates = gaps.get(code) || new Set();
+        dates.add(toDateInputValue(expense.createdAt));
+        gaps.set(code, dates);
+      });
+    });
+    return Array.from(gaps.entries())
+      .map(([currency, dates]) => ({ currency, dates: Array.from(dates).sort() }))
+      .sort((a, b) => a.currency.localeCompare(b.currency));
+  }, [expenseList, groupLookup, reportingCurrency, rateDays]);
+
   const dashboardGroupTotals = useMemo(() => {
     const totals = new Map();
-    dashboardExpenses.forEach((expense) => {
+    dashboardReportingExpenses.forEach((expense) => {
       if (!expense.groupId) return;
-      const next =
-        (totals.get(expense.groupId) || 0) + Number(expense.amount || 0);
+      const next = addMoney(
+        totals.get(expense.groupId) || 0,
+        getSignedAmount(expense),
+        reportingCurrency
+      );
       totals.set(expense.groupId, next);
     });
     return totals;
-  }, [dashboardExpenses]);
+  }, [dashboardReportingExpenses, reportingCurrency]);
 
   const dashboardGroupListWithTotals = useMemo(
     () =>
@@ -3041,8 +5641,11 @@ export default function App() {
 
   const dashboardGroupTotal = useMemo(
     () =>
-      dashboardGroupListWithTotals.reduce((sum, group) => sum + group.total, 0),
-    [dashboardGroupListWithTotals]
+      dashboardGroupListWithTotals.reduce(
+        (sum, group) => addMoney(sum, group.total, reportingCurrency),
+        0
+      ),
+    [dashboardGroupListWithTotals, reportingCurrency]
   );
 
   const filteredActivityItems = useMemo(() => {
@@ -3080,15 +5683,13 @@ export default function App() {
     return { groups, expenses };
   }, [groupList, expenseList, searchQuery]);
 
-  const totalExpenses = useMemo(
-    () => filteredExpenses.reduce((sum, item) => sum + Number(item.amount || 0), 0),
-    [filteredExpenses]
-  );
-
   const dashboardTotalExpenses = useMemo(
     () =>
-      dashboardExpenses.reduce((sum, item) => sum + Number(item.amount || 0), 0),
-    [dashboardExpenses]
+      dashboardReportingExpenses.reduce(
+        (sum, item) => addMoney(sum, getSignedAmount(item), reportingCurrency),
+        0
+      ),
+    [dashboardReportingExpenses, reportingCurrency]
   );
 
   const monthlyTable = useMemo(
@@ -3097,13 +5698,14 @@ export default function App() {
         (tile) => tile.id === "monthlyTable"
       );
       return buildMonthlyTable(
-        filteredExpenses,
+        reportingExpenses,
         expenseCategoryOptions,
         monthlyTile?.monthKey,
-        user?.uid
+        user?.uid,
+        reportingCurrency
       );
     },
-    [filteredExpenses, dashboardTiles, user]
+    [reportingExpenses, dashboardTiles, user, reportingCurrency]
   );
 
   const dashboardMonthlyTable = useMemo(
@@ -3112,13 +5714,14 @@ export default function App() {
         (tile) => tile.id === "monthlyTable"
       );
       return buildMonthlyTable(
-        dashboardExpenses,
+        dashboardReportingExpenses,
         expenseCategoryOptions,
         monthlyTile?.monthKey,
-        user?.uid
+        user?.uid,
+        reportingCurrency
       );
     },
-    [dashboardExpenses, dashboardTiles, user]
+    [dashboardReportingExpenses, dashboardTiles, user, reportingCurrency]
   );
 
   const dashboardMonthOptions = useMemo(() => {
@@ -3145,16 +5748,6 @@ export default function App() {
       });
   }, [dashboardExpenses]);
 
-  const summaryCurrency = useMemo(() => {
-    if (importCurrencyOverride) return importCurrencyOverride;
-    return overallCurrency(filteredExpenses);
-  }, [filteredExpenses, importCurrencyOverride]);
-
-  const dashboardSummaryCurrency = useMemo(() => {
-    if (importCurrencyOverride) return importCurrencyOverride;
-    return overallCurrency(dashboardExpenses);
-  }, [dashboardExpenses, importCurrencyOverride]);
-
   const pageTitle = {
     Dashboard: "Track group expenses and settle balances in minutes.",
     Groups: "Create groups, invite members, and manage trips.",
@@ -3165,26 +5758,28 @@ export default function App() {
     Settings: "Manage your profile and security preferences.",
   }[activeNav];
 
-  const logActivity = async ({
+  const buildActivity = ({
     type,
     message,
     groupId = "",
     groupName = "",
     memberUids = [],
-  }) => {
+  }) => ({
+    type,
+    message,
+    groupId,
+    groupName,
+    memberUids: memberUids.length ? memberUids : [user.uid],
+    actorUid: user.uid,
+    actorName:
+      user.displayName || (user.email ? user.email.split("@")[0] : "Member"),
+    createdAt: serverTimestamp(),
+  });
+
+  const logActivity = async (activity) => {
     if (!user) return;
     try {
-      await addDoc(collection(db, "activity"), {
-        type,
-        message,
-        groupId,
-        groupName,
-        memberUids: memberUids.length ? memberUids : [user.uid],
-        actorUid: user.uid,
-        actorName:
-          user.displayName || (user.email ? user.email.split("@")[0] : "Member"),
-        createdAt: serverTimestamp(),
-      });
+      await addDoc(collection(db, "activity"), buildActivity(activity));
     } catch (err) {
       // Silently ignore activity logging failures.
     }
@@ -3196,6 +5791,12 @@ export default function App() {
     setNewGroupMembers(4);
     setNewGroupCurrency("EUR");
     setNewGroupType(groupTypes[0]);
+    setNewGroupWeights({});
+    setNewGroupSimplify(true);
+    setNewGroupPerCurrency(false);
+    setNewGroupReminderCadence(0);
+    setGuestName("");
+    setGuestEmail("");
     setGroupError("");
   };
 
@@ -3206,6 +5807,23 @@ export default function App() {
       setGroupError("Please enter a group name.");
       return;
     }
+    const existingGroup = editingGroupId
+      ? groupListWithTotals.find((group) => group.id === editingGroupId)
+      : null;
+    const defaultWeights = getGroupMembers(existingGroup).reduce((acc, member) => {
+      acc[member.uid] = Number(
+        newGroupWeights[member.uid] ?? getMemberWeight(existingGroup, null, member.uid)
+      );
+      return acc;
+    }, {});
+    if (
+      Object.values(defaultWeights).some(
+        (weight) => Number.isNaN(weight) || weight < 0
+      )
+    ) {
+      setGroupError("Default shares must be zero or more.");
+      return;
+    }
     setGroupError("");
     setGroupActionError("");
     setGroupBusy(true);
@@ -3216,11 +5834,12 @@ export default function App() {
           membersTarget: Number(newGroupMembers) || 0,
           currency: newGroupCurrency,
           type: newGroupType,
+          defaultWeights,
+          simplifyDebts: newGroupSimplify,
+          balanceMode: newGroupPerCurrency ? "perCurrency" : "convert",
+          reminderCadence: Number(newGroupReminderCadence) || 0,
           updatedAt: serverTimestamp(),
         });
-        const existingGroup = groupListWithTotals.find(
-          (group) => group.id === editingGroupId
-        );
         const memberUids = existingGroup?.members?.map((member) => member.uid) || [
           user.uid,
         ];
@@ -3249,6 +5868,9 @@ export default function App() {
           total: 0,
           currency: newGroupCurrency,
           type: newGroupType,
+          simplifyDebts: newGroupSimplify,
+          balanceMode: newGroupPerCurrency ? "perCurrency" : "convert",
+          reminderCadence: Number(newGroupReminderCadence) || 0,
           createdBy: user.uid,
           createdAt: serverTimestamp(),
         });
@@ -3269,171 +5891,980 @@ export default function App() {
     }
   };
 
+  const handleAddGuest = async () => {
+    if (!user || !editingGroupId) return;
+    if (!guestName.trim()) {
+      setGroupError("Enter a name for the guest.");
+      return;
+    }
+    const group = groupListWithTotals.find((item) => item.id === editingGroupId);
+    const guest = createGuestMember(guestName.trim(), guestEmail.trim());
+    setGroupError("");
+    setGroupBusy(true);
+    try {
+      await updateDoc(doc(db, "groups", editingGroupId), {
+        members: arrayUnion(guest),
+        membersCount: increment(1),
+        updatedAt: serverTimestamp(),
+      });
+      await logActivity({
+        type: "group",
+        message: `Added guest ${guest.name}`,
+        groupId: editingGroupId,
+        groupName: group?.name || "",
+        memberUids: group?.members?.map((member) => member.uid) || [user.uid],
+      });
+      setGuestName("");
+      setGuestEmail("");
+    } catch (err) {
+      setGroupError("Unable to add guest. Try again.");
+    } finally {
+      setGroupBusy(false);
+    }
+  };
+
   const handleEditGroup = (group) => {
     setEditingGroupId(group.id);
     setNewGroupName(group.name || "");
     setNewGroupMembers(group.membersTarget || group.membersCount || 0);
     setNewGroupCurrency(group.currency || "EUR");
     setNewGroupType(group.type || groupTypes[0]);
+    setNewGroupSimplify(group.simplifyDebts !== false);
+    setNewGroupPerCurrency(group.balanceMode === "perCurrency");
+    setNewGroupReminderCadence(group.reminderCadence || 0);
+    setNewGroupWeights(
+      Object.entries(group.defaultWeights || {}).reduce((acc, [uid, value]) => {
+        acc[uid] = String(value);
+        return acc;
+      }, {})
+    );
     setGroupError("");
     setShowGroupModal(true);
   };
 
-  const resetExpenseForm = () => {
-    setEditingExpenseId("");
-    setExpenseGroupId("");
-    setExpenseCategory(expenseCategoryOptions[0]);
-    setExpenseAmount("");
-    setExpenseNote("");
-    setExpenseDate(toDateInputValue(new Date()));
-    setExpenseCurrency("EUR");
-    setExpensePaidBy("");
-    setExpenseSplitType("equal");
-    setExpenseError("");
+  const resetExpenseForm = () => {
+    setEditingExpenseId("");
+    setExpenseGroupId("");
+    setExpenseCategory(expenseCategoryOptions[0]);
+    setExpenseAmount("");
+    setExpenseNote("");
+    setExpenseDate(toDateInputValue(new Date()));
+    setExpenseCurrency("EUR");
+    setExpenseRate("");
+    setExpensePaidBy("");
+    setExpenseMultiPayer(false);
+    setExpensePayerAmounts({});
+    setExpenseEntryType("expense");
+    setExpenseSplitType("equal");
+    setExpenseExactShares({});
+    setExpenseWeights({});
+    setExpensePercentages({});
+    setExpenseLineItems([]);
+    setExpenseTax("");
+    setExpenseServiceCharge("");
+    setExpenseTip("");
+    setExpenseParticipants([]);
+    setExpenseError("");
+  };
+
+  const handleCreateExpense = async (event) => {
+    event.preventDefault();
+    if (!user) return;
+    const lineItems = expenseLineItems
+      .filter((item) => item.label.trim() || item.amount)
+      .map((item) => ({
+        label: item.label.trim(),
+        amount: Number(item.amount || 0),
+        memberUids: item.memberUids,
+      }));
+    const amountValue =
+      expenseSplitType === "itemized"
+        ? fromMinorUnits(
+            [
+              ...lineItems.map((item) => item.amount),
+              expenseTax,
+              expenseServiceCharge,
+              expenseTip,
+            ].reduce(
+              (sum, value) => sum + toMinorUnits(value, expenseCurrency),
+              0
+            ),
+            expenseCurrency
+          )
+        : fromMinorUnits(
+            toMinorUnits(expenseAmount, expenseCurrency),
+            expenseCurrency
+          );
+    if (!amountValue || amountValue <= 0) {
+      setExpenseError("Enter a valid amount.");
+      return;
+    }
+    const enteredAmounts = [
+      ...(expenseSplitType === "itemized"
+        ? [
+            ...lineItems.map((item) => item.amount),
+            expenseTax,
+            expenseServiceCharge,
+            expenseTip,
+          ]
+        : [expenseAmount]),
+      ...(expenseSplitType === "exact" ? Object.values(expenseExactShares) : []),
+      ...(expenseMultiPayer ? Object.values(expensePayerAmounts) : []),
+    ];
+    if (
+      enteredAmounts.some((value) => !hasValidMinorUnits(value, expenseCurrency))
+    ) {
+      setExpenseError(getMinorUnitsMessage(expenseCurrency));
+      return;
+    }
+    if (!expenseCategory.trim()) {
+      setExpenseError("Enter a category.");
+      return;
+    }
+    const selectedDate = normalizeDate(expenseDate);
+    if (!selectedDate) {
+      setExpenseError("Choose a date.");
+      return;
+    }
+    const expenseGroup = groupListWithTotals.find(
+      (group) => group.id === expenseGroupId
+    );
+    if (isGroupLocked(expenseGroup)) {
+      setExpenseError(
+        "This group is finalized and no longer accepts changes."
+      );
+      return;
+    }
+    const groupCurrency = expenseGroup?.currency || expenseCurrency;
+    const exchangeRate =
+      expenseCurrency === groupCurrency
+        ? 1
+        : Number(expenseRate) ||
+          lookupExchangeRate(
+            expenseCurrency,
+            groupCurrency,
+            selectedDate,
+            expenseGroupId
+          );
+    const hasRate = exchangeRate > 0;
+    if (!hasRate && expenseGroup?.balanceMode !== "perCurrency") {
+      setExpenseError(
+        `No exchange rate from ${expenseCurrency} to ${groupCurrency} for that date. Enter the rate you were charged or import rates in Settings.`
+      );
+      return;
+    }
+    const rateFields = hasRate
+      ? {
+          groupCurrency,
+          exchangeRate,
+          groupAmount: fromMinorUnits(
+            toMinorUnits(amountValue * exchangeRate, groupCurrency),
+            groupCurrency
+          ),
+        }
+      : { groupCurrency: "", exchangeRate: 0, groupAmount: 0 };
+    const participantUids = getGroupMembers(expenseGroup)
+      .map((member) => member.uid)
+      .filter((uid) =>
+        expenseSplitType === "itemized"
+          ? lineItems.some((item) => item.memberUids.includes(uid))
+          : expenseParticipants.includes(uid)
+      );
+    if (getGroupMembers(expenseGroup).length && !participantUids.length) {
+      setExpenseError("Choose at least one participant.");
+      return;
+    }
+    const participants = getExpenseParticipants(
+      { participantUids },
+      expenseGroup
+    );
+    let exactShares = {};
+    if (expenseSplitType === "exact") {
+      if (!participants.length) {
+        setExpenseError("Choose a group with members to split exact amounts.");
+        return;
+      }
+      exactShares = participants.reduce((acc, member) => {
+        acc[member.uid] = Number(expenseExactShares[member.uid] || 0);
+        return acc;
+      }, {});
+      if (Object.values(exactShares).some((value) => value < 0)) {
+        setExpenseError("Exact amounts cannot be negative.");
+        return;
+      }
+      const exactTotal = Object.values(exactShares).reduce(
+        (sum, value) => addMoney(sum, value, expenseCurrency),
+        0
+      );
+      if (
+        toMinorUnits(exactTotal, expenseCurrency) !==
+        toMinorUnits(amountValue, expenseCurrency)
+      ) {
+        setExpenseError(
+          `Exact amounts add up to ${formatCurrency(
+            exactTotal,
+            expenseCurrency
+          )}, not ${formatCurrency(amountValue, expenseCurrency)}.`
+        );
+        return;
+      }
+    }
+    let splitWeights = {};
+    if (expenseSplitType === "weighted") {
+      if (!participants.length) {
+        setExpenseError("Choose a group with members to split by shares.");
+        return;
+      }
+      splitWeights = participants.reduce((acc, member) => {
+        acc[member.uid] = Number(
+          expenseWeights[member.uid] ??
+            getMemberWeight(expenseGroup, null, member.uid)
+        );
+        return acc;
+      }, {});
+      const weightValues = Object.values(splitWeights);
+      if (weightValues.some((weight) => Number.isNaN(weight) || weight < 0)) {
+        setExpenseError("Shares must be zero or more.");
+        return;
+      }
+      if (!weightValues.some((weight) => weight > 0)) {
+        setExpenseError("Give at least one member a share.");
+        return;
+      }
+    }
+    if (expenseSplitType === "itemized") {
+      if (!getGroupMembers(expenseGroup).length) {
+        setExpenseError("Choose a group with members to itemize a receipt.");
+        return;
+      }
+      if (!lineItems.length) {
+        setExpenseError("Add at least one line item.");
+        return;
+      }
+      if (lineItems.some((item) => !item.label || item.amount <= 0)) {
+        setExpenseError("Each line item needs a name and a positive amount.");
+        return;
+      }
+      if (lineItems.some((item) => !item.memberUids.length)) {
+        setExpenseError("Assign every line item to at least one member.");
+        return;
+      }
+      if (
+        [expenseTax, expenseServiceCharge, expenseTip].some(
+          (value) => Number(value || 0) < 0
+        )
+      ) {
+        setExpenseError("Tax, service charge and tip cannot be negative.");
+        return;
+      }
+    }
+    let splitPercentages = {};
+    if (expenseSplitType === "percentage") {
+      if (!participants.length) {
+        setExpenseError("Choose a group with members to split by percentage.");
+        return;
+      }
+      splitPercentages = participants.reduce((acc, member) => {
+        acc[member.uid] = Number(expensePercentages[member.uid] || 0);
+        return acc;
+      }, {});
+      const percentValues = Object.values(splitPercentages);
+      if (percentValues.some((value) => Number.isNaN(value) || value < 0)) {
+        setExpenseError("Percentages cannot be negative.");
+        return;
+      }
+      const percentTotal = percentValues.reduce((sum, value) => sum + value, 0);
+      if (Math.abs(percentTotal - 100) >= 0.01) {
+        setExpenseError(
+          `Percentages add up to ${Number(percentTotal.toFixed(2))}%, not 100%.`
+        );
+        return;
+      }
+    }
+    let payers = [];
+    if (expenseMultiPayer) {
+      payers = getGroupMembers(expenseGroup)
+        .map((member) => ({
+          uid: member.uid,
+          name: member.name || member.email || "Member",
+          amount: Number(expensePayerAmounts[member.uid] || 0),
+        }))
+        .filter((payer) => payer.amount);
+      if (!payers.length) {
+        setExpenseError("Enter how much each payer paid.");
+        return;
+      }
+      if (payers.some((payer) => Number.isNaN(payer.amount) || payer.amount < 0)) {
+        setExpenseError("Paid amounts cannot be negative.");
+        return;
+      }
+      const paidTotal = payers.reduce(
+        (sum, payer) => addMoney(sum, payer.amount, expenseCurrency),
+        0
+      );
+      if (
+        toMinorUnits(paidTotal, expenseCurrency) !==
+        toMinorUnits(amountValue, expenseCurrency)
+      ) {
+        setExpenseError(
+          `Payers add up to ${formatCurrency(
+            paidTotal,
+            expenseCurrency
+          )}, not ${formatCurrency(amountValue, expenseCurrency)}.`
+        );
+        return;
+      }
+      payers.sort((a, b) => b.amount - a.amount);
+    }
+    const payerId = payers[0]?.uid || expensePaidBy || user.uid;
+    const payerName =
+      payers[0]?.name ||
+      expenseGroup?.members.find((member) => member.uid === payerId)?.name ||
+      user.displayName ||
+      (user.email ? user.email.split("@")[0] : "Member");
+    const entryLabel = expenseEntryType === "refund" ? "refund" : "expense";
+    const isItemized = expenseSplitType === "itemized";
+    const receiptFields = {
+      lineItems: isItemized ? lineItems : [],
+      taxAmount: isItemized ? Number(expenseTax || 0) : 0,
+      serviceCharge: isItemized ? Number(expenseServiceCharge || 0) : 0,
+      tipAmount: isItemized ? Number(expenseTip || 0) : 0,
+    };
+    setExpenseError("");
+    setExpenseBusy(true);
+    try {
+      if (editingExpenseId) {
+        await updateDoc(doc(db, "expenses", editingExpenseId), {
+          groupId: expenseGroupId || "",
+          category: expenseCategory.trim(),
+          amount: amountValue,
+          note: expenseNote.trim(),
+          currency: expenseCurrency,
+          ...rateFields,
+          paidByUid: payerId,
+          paidByName: payerName,
+          payers,
+          entryType: expenseEntryType,
+          splitType: expenseSplitType,
+          exactShares,
+          splitWeights,
+          splitPercentages,
+          ...receiptFields,
+          participantUids,
+          createdAt: Timestamp.fromDate(selectedDate),
+          updatedAt: serverTimestamp(),
+        });
+        const group = groupListWithTotals.find(
+          (item) => item.id === expenseGroupId
+        );
+        const memberUids =
+          group?.members?.map((member) => member.uid) || [user.uid];
+        await logActivity({
+          type: "expense",
+          message: `Updated ${entryLabel} "${expenseCategory.trim()}"`,
+          groupId: expenseGroupId,
+          groupName: group?.name || "",
+          memberUids,
+        });
+      } else {
+        await addDoc(collection(db, "expenses"), {
+          groupId: expenseGroupId || "",
+          category: expenseCategory.trim(),
+        amount: amountValue,
+        note: expenseNote.trim(),
+        currency: expenseCurrency,
+        ...rateFields,
+        paidByUid: payerId,
+        paidByName: payerName,
+        payers,
+        entryType: expenseEntryType,
+        splitType: expenseSplitType,
+        exactShares,
+        splitWeights,
+        splitPercentages,
+        ...receiptFields,
+        participantUids,
+        createdBy: user.uid,
+        createdAt: Timestamp.fromDate(selectedDate),
+        updatedAt: serverTimestamp(),
+      });
+        const group = groupListWithTotals.find(
+          (item) => item.id === expenseGroupId
+        );
+        const memberUids =
+          group?.members?.map((member) => member.uid) || [user.uid];
+        await logActivity({
+          type: "expense",
+          message: `Added ${entryLabel} "${expenseCategory.trim()}"`,
+          groupId: expenseGroupId,
+          groupName: group?.name || "",
+          memberUids,
+        });
+      }
+      resetExpenseForm();
+      setShowExpenseModal(false);
+    } catch (err) {
+      setExpenseError("Unable to save expense. Try again.");
+    } finally {
+      setExpenseBusy(false);
+    }
+  };
+
+  const handleEditExpense = (expense) => {
+    const group = groupList.find((item) => item.id === expense.groupId);
+    if (isGroupLocked(group)) {
+      setExpenseActionError(
+        "This group is finalized and can no longer be edited."
+      );
+      return;
+    }
+    setEditingExpenseId(expense.id);
+    setExpenseGroupId(expense.groupId || "");
+    setExpenseCategory(expense.category || "");
+    setExpenseAmount(expense.amount ? String(expense.amount) : "");
+    setExpenseNote(expense.note || "");
+    setExpenseDate(
+      toDateInputValue(expense.createdAt || expense.updatedAt || new Date())
+    );
+    setExpenseCurrency(expense.currency || "EUR");
+    setExpenseRate(
+      expense.exchangeRate && expense.groupCurrency === group?.currency &&
+        expense.currency !== expense.groupCurrency
+        ? String(expense.exchangeRate)
+        : ""
+    );
+    setExpensePaidBy(expense.paidByUid || expense.createdBy || "");
+    setExpenseMultiPayer(Boolean(expense.payers?.length));
+    setExpensePayerAmounts(
+      (expense.payers || []).reduce((acc, payer) => {
+        acc[payer.uid] = String(payer.amount);
+        return acc;
+      }, {})
+    );
+    setExpenseEntryType(expense.entryType || "expense");
+    setExpenseSplitType(expense.splitType || "equal");
+    setExpenseExactShares(
+      Object.entries(expense.exactShares || {}).reduce((acc, [uid, value]) => {
+        acc[uid] = String(value);
+        return acc;
+      }, {})
+    );
+    setExpenseWeights(
+      Object.entries(expense.splitWeights || {}).reduce((acc, [uid, value]) => {
+        acc[uid] = String(value);
+        return acc;
+      }, {})
+    );
+    setExpensePercentages(
+      Object.entries(expense.splitPercentages || {}).reduce(
+        (acc, [uid, value]) => {
+          acc[uid] = String(value);
+          return acc;
+        },
+        {}
+      )
+    );
+    setExpenseLineItems(
+      (expense.lineItems || []).map((item, index) => ({
+        id: `item-${index}`,
+        label: item.label || "",
+        amount: item.amount ? String(item.amount) : "",
+        memberUids: item.memberUids || [],
+      }))
+    );
+    setExpenseTax(expense.taxAmount ? String(expense.taxAmount) : "");
+    setExpenseServiceCharge(
+      expense.serviceCharge ? String(expense.serviceCharge) : ""
+    );
+    setExpenseTip(expense.tipAmount ? String(expense.tipAmount) : "");
+    setExpenseParticipants(
+      expense.participantUids?.length
+        ? expense.participantUids
+        : getGroupMembers(group).map((member) => member.uid)
+    );
+    setExpenseError("");
+    setShowExpenseModal(true);
+  };
+
+  const handleFinalizeGroup = async (group) => {
+    if (!user) return;
+    setGroupActionError("");
+    const finalPlan = planGroupSettlements(group, expenseList, settlementList);
+    try {
+      await updateDoc(doc(db, "groups", group.id), {
+        status: finalPlan.length ? "finalized" : "archived",
+        finalPlan,
+        finalizedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      await logActivity({
+        type: "group",
+        message: finalPlan.length
+          ? `Finalized group with ${finalPlan.length} payments to settle`
+          : `Finalized and archived group`,
+        groupId: group.id,
+        groupName: group.name,
+        memberUids: group.members?.map((member) => member.uid) || [user.uid],
+      });
+    } catch (err) {
+      setGroupActionError("Unable to finalize group. Try again.");
+    }
+  };
+
+  const handleDeleteGroup = async (group) => {
+    if (!user) return;
+    setGroupActionError("");
+    try {
+      await deleteDoc(doc(db, "groups", group.id));
+      const memberUids = group.members?.map((member) => member.uid) || [
+        user.uid,
+      ];
+      await logActivity({
+        type: "group",
+        message: `Deleted group`,
+        groupId: group.id,
+        groupName: group.name,
+        memberUids,
+      });
+    } catch (err) {
+      setGroupActionError("Unable to delete group. Try again.");
+    }
+  };
+
+  const handleDeleteExpense = async (expense) => {
+    if (!user) return;
+    const group = groupList.find((item) => item.id === expense.groupId);
+    if (isGroupLocked(group)) {
+      setExpenseActionError(
+        "This group is finalized and can no longer be edited."
+      );
+      return;
+    }
+    setExpenseActionError("");
+    try {
+      await deleteDoc(doc(db, "expenses", expense.id));
+      const group = groupListWithTotals.find(
+        (item) => item.id === expense.groupId
+      );
+      const memberUids =
+        group?.members?.map((member) => member.uid) || [user.uid];
+      await logActivity({
+        type: "expense",
+        message: `Deleted expense "${expense.category || "Expense"}"`,
+        groupId: expense.groupId,
+        groupName: group?.name || "",
+        memberUids,
+      });
+    } catch (err) {
+      setExpenseActionError("Unable to delete expense. Try again.");
+    }
+  };
+
+  const openSettlementModal = ({
+    groupId,
+    fromUid,
+    toUid,
+    amount,
+    currency,
+  } = {}) => {
+    const targetGroupId = groupId || selectedGroupId || groupList[0]?.id || "";
+    setSettlementGroupId(targetGroupId);
+    setSettlementLedgerCurrency(currency || "");
+    setSettlementFromUid(fromUid || user?.uid || "");
+    setSettlementToUid(toUid || "");
+    setSettlementAmount(amount ? String(amount) : "");
+    setSettlementDate(toDateInputValue(new Date()));
+    setSettlementNote("");
+    setSettlementPayCurrency(
+      currency ||
+        groupList.find((group) => group.id === targetGroupId)?.currency ||
+        "EUR"
+    );
+    setSettlementRate("1");
+    setSettlementError("");
+    setShowSettlementModal(true);
+  };
+
+  const changeSettlementPayCurrency = (payCurrency, currency, groupId) => {
+    const rate =
+      payCurrency === currency
+        ? 1
+        : lookupExchangeRate(currency, payCurrency, settlementDate, groupId);
+    setSettlementPayCurrency(payCurrency);
+    setSettlementRate(rate ? String(Number(rate.toFixed(6))) : "");
+  };
+
+  const handleSaveSettlement = async (event) => {
+    event.preventDefault();
+    if (!user) return;
+    const group = groupList.find(
+      (item) => item.id === settlementGroupId
+    );
+    if (!group) {
+      setSettlementError("Choose a group for this payment.");
+      return;
+    }
+    if (!settlementFromUid || !settlementToUid) {
+      setSettlementError("Choose who paid and who received the payment.");
+      return;
+    }
+    if (settlementFromUid === settlementToUid) {
+      setSettlementError("Payer and receiver must be different people.");
+      return;
+    }
+    const currency = settlementLedgerCurrency || group.currency || "EUR";
+    const amountValue = fromMinorUnits(
+      toMinorUnits(settlementAmount, currency),
+      currency
+    );
+    if (!amountValue || amountValue <= 0) {
+      setSettlementError("Enter a valid amount.");
+      return;
+    }
+    if (!hasValidMinorUnits(settlementAmount, currency)) {
+      setSettlementError(getMinorUnitsMessage(currency));
+      return;
+    }
+    const selectedDate = normalizeDate(settlementDate);
+    if (!selectedDate) {
+      setSettlementError("Choose a valid date.");
+      return;
+    }
+    if (
+      settlementPayCurrency !== currency &&
+      !(Number(settlementRate) > 0)
+    ) {
+      setSettlementError("Enter the exchange rate used for this payment.");
+      return;
+    }
+    const conversion = buildSettlementConversion(
+      amountValue,
+      currency,
+      settlementPayCurrency,
+      settlementRate
+    );
+    const members = getGroupMembers(group);
+    const memberName = (uid) => {
+      const member = members.find((item) => item.uid === uid);
+      return member?.name || member?.email || "Member";
+    };
+    const status = getInitialSettlementStatus(group, settlementToUid, user.uid);
+    setSettlementError("");
+    setSettlementBusy(true);
+    try {
+      await addDoc(collection(db, "settlements"), {
+        groupId: group.id,
+        fromUid: settlementFromUid,
+        fromName: memberName(settlementFromUid),
+        toUid: settlementToUid,
+        toName: memberName(settlementToUid),
+        amount: amountValue,
+        currency,
+        ...conversion,
+        note: settlementNote.trim(),
+        status,
+        createdBy: user.uid,
+        createdAt: Timestamp.fromDate(selectedDate),
+        updatedAt: serverTimestamp(),
+      });
+      await logActivity({
+        type: "payment",
+        message: `Recorded ${memberName(settlementFromUid)} paying ${memberName(
+          settlementToUid
+        )} ${formatCurrency(
+          conversion.convertedAmount,
+          conversion.settlementCurrency
+        )}`,
+        groupId: group.id,
+        groupName: group.name,
+        memberUids: group.members?.map((member) => member.uid) || [user.uid],
+      });
+      setShowSettlementModal(false);
+    } catch (err) {
+      setSettlementError("Unable to record payment. Try again.");
+    } finally {
+      setSettlementBusy(false);
+    }
+  };
+
+  const sendReminder = async (group, transfer) => {
+    const id = getReminderId(group.id, user.uid, transfer.fromUid);
+    if (!canSendReminder(sentReminders, transfer.fromUid)) {
+      return false;
+    }
+    const owed = planGroupSettlements(group, expenseList, settlementList).filter(
+      (item) => item.fromUid === transfer.fromUid && item.toUid === user.uid
+    );
+    const amounts = (owed.length ? owed : [transfer]).map((item) => ({
+      amount: item.amount,
+      currency: item.currency || group.currency || "EUR",
+    }));
+    await setDoc(doc(db, "reminders", id), {
+      groupId: group.id,
+      groupName: group.name,
+      fromUid: user.uid,
+      fromName:
+        user.displayName || (user.email ? user.email.split("@")[0] : "Member"),
+      toUid: transfer.fromUid,
+      toName: transfer.fromName,
+      amount: amounts[0].amount,
+      currency: amounts[0].currency,
+      amounts,
+      sentAt: serverTimestamp(),
+    });
+    await logActivity({
+      type: "reminder",
+      message: `Reminded ${transfer.fromName} about ${amounts
+        .map((item) => formatCurrency(item.amount, item.currency))
+        .join(" + ")}`,
+      groupId: group.id,
+      groupName: group.name,
+      memberUids: group.members?.map((member) => member.uid) || [user.uid],
+    });
+    return true;
+  };
+
+  const handleSendReminder = async (groupId, transfer) => {
+    if (!user) return;
+    const group = groupList.find((item) => item.id === groupId);
+    if (!group) return;
+    setGroupActionError("");
+    try {
+      const sent = await sendReminder(group, transfer);
+      if (!sent) {
+        setGroupActionError(
+          `${transfer.fromName} was already reminded in the last 24 hours.`
+        );
+      }
+    } catch (err) {
+      setGroupActionError("Unable to send reminder. Try again.");
+    }
+  };
+
+  const handleDismissReminder = async (reminder) => {
+    try {
+      await updateDoc(doc(db, "reminders", reminder.id), {
+        seenAt: serverTimestamp(),
+      });
+    } catch (err) {
+      setGroupActionError("Unable to dismiss reminder. Try again.");
+    }
+  };
+
+  useEffect(() => {
+    if (!user || !sentRemindersLoaded || !expensesLoaded || !settlementsLoaded) {
+      return;
+    }
+    const now = Date.now();
+    const remindedUids = new Set();
+    groupList
+      .filter((group) => group.reminderCadence > 0 && group.status !== "archived")
+      .forEach((group) => {
+        const members = getGroupMembers(group);
+        planGroupSettlements(group, expenseList, settlementList)
+          .filter(
+            (transfer) =>
+              transfer.toUid === user.uid &&
+              !members.find((member) => member.uid === transfer.fromUid)?.guest
+          )
+          .forEach((transfer) => {
+            const id = getReminderId(group.id, user.uid, transfer.fromUid);
+            const last = sentReminders.find((item) => item.id === id);
+            if (autoRemindedRef.current.has(id)) return;
+            if (
+              remindedUids.has(transfer.fromUid) ||
+              !canSendReminder(sentReminders, transfer.fromUid, now)
+            ) {
+              return;
+            }
+            if (
+              last &&
+              now - last.sentAt.getTime() <
+                group.reminderCadence * 24 * 60 * 60 * 1000
+            ) {
+              return;
+            }
+            autoRemindedRef.current.add(id);
+            remindedUids.add(transfer.fromUid);
+            sendReminder(group, transfer).catch(() => {
+              setGroupActionError(
+                `Unable to send the automatic reminder to ${transfer.fromName}.`
+              );
+            });
+          });
+      });
+  }, [
+    user,
+    sentRemindersLoaded,
+    expensesLoaded,
+    settlementsLoaded,
+    groupList,
+    expenseList,
+    settlementList,
+    sentReminders,
+  ]);
+
+  const openCounterpartySettle = (counterparty) => {
+    setCounterpartySettle(counterparty);
+    setCounterpartyAmount(String(Math.abs(counterparty.net)));
+    setSettlementPayCurrency(counterparty.currency);
+    setSettlementRate("1");
+    setCounterpartyError("");
   };
 
-  const handleCreateExpense = async (event) => {
+  const handleSettleCounterparty = async (event) => {
     event.preventDefault();
-    if (!user) return;
-    if (!expenseAmount || Number(expenseAmount) <= 0) {
-      setExpenseError("Enter a valid amount.");
+    if (!user || !counterpartySettle) return;
+    const { currency, net, groups } = counterpartySettle;
+    const netUnits = Math.abs(toMinorUnits(net, currency));
+    const amountUnits = netUnits
+      ? toMinorUnits(counterpartyAmount, currency)
+      : 0;
+    if (netUnits && (amountUnits <= 0 || amountUnits > netUnits)) {
+      setCounterpartyError(
+        `Enter an amount up to ${formatCurrency(Math.abs(net), currency)}.`
+      );
       return;
     }
-    if (!expenseCategory.trim()) {
-      setExpenseError("Enter a category.");
+    if (!hasValidMinorUnits(counterpartyAmount, currency)) {
+      setCounterpartyError(getMinorUnitsMessage(currency));
       return;
     }
-    const selectedDate = normalizeDate(expenseDate);
-    if (!selectedDate) {
-      setExpenseError("Choose a date.");
+    if (settlementPayCurrency !== currency && !(Number(settlementRate) > 0)) {
+      setCounterpartyError("Enter the exchange rate used for this payment.");
       return;
     }
-    const payerId = expensePaidBy || user.uid;
-    const payerName =
-      groupListWithTotals
-        .find((group) => group.id === expenseGroupId)
-        ?.members.find((member) => member.uid === payerId)?.name ||
-      user.displayName ||
-      (user.email ? user.email.split("@")[0] : "Member");
-    setExpenseError("");
-    setExpenseBusy(true);
+    // Balances running against the net are cleared in full and the amount
+    // paid covers the rest, so the recorded payments add up to it exactly.
+    const direction = net < 0 ? -1 : 1;
+    const entries = groups
+      .map((entry) => ({
+        ...entry,
+        group: groupList.find((item) => item.id === entry.groupId),
+        units: toMinorUnits(entry.amount, currency),
+      }))
+      .filter((entry) => entry.group && entry.units);
+    const offsetting = entries.filter((entry) => entry.units * direction < 0);
+    const matching = entries.filter((entry) => entry.units * direction > 0);
+    const offsetUnits = offsetting.reduce(
+      (sum, entry) => sum + Math.abs(entry.units),
+      0
+    );
+    const matchingUnits = allocateMinorUnits(
+      amountUnits + offsetUnits,
+      matching.map((entry) => Math.abs(entry.units))
+    );
+    const payments = [
+      ...offsetting.map((entry) => ({
+        ...entry,
+        payUnits: Math.abs(entry.units),
+      })),
+      ...matching.map((entry, index) => ({
+        ...entry,
+        payUnits: matchingUnits[index],
+      })),
+    ].filter((entry) => entry.payUnits);
+    const batchId = `batch-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    const myName =
+      user.displayName || (user.email ? user.email.split("@")[0] : "Member");
+    setCounterpartyError("");
+    setSettlementBusy(true);
     try {
-      if (editingExpenseId) {
-        await updateDoc(doc(db, "expenses", editingExpenseId), {
-          groupId: expenseGroupId || "",
-          category: expenseCategory.trim(),
-          amount: Number(expenseAmount),
-          note: expenseNote.trim(),
-          currency: expenseCurrency,
-          paidByUid: payerId,
-          paidByName: payerName,
-          splitType: expenseSplitType,
-          createdAt: Timestamp.fromDate(selectedDate),
+      const batch = writeBatch(db);
+      payments.forEach(({ group, units, payUnits }) => {
+        const theyPay = units > 0;
+        const fromUid = theyPay ? counterpartySettle.uid : user.uid;
+        const toUid = theyPay ? user.uid : counterpartySettle.uid;
+        const amount = fromMinorUnits(payUnits, currency);
+        batch.set(doc(collection(db, "settlements")), {
+          groupId: group.id,
+          fromUid,
+          fromName: theyPay ? counterpartySettle.name : myName,
+          toUid,
+          toName: theyPay ? myName : counterpartySettle.name,
+          amount,
+          currency,
+          ...buildSettlementConversion(
+            amount,
+            currency,
+            settlementPayCurrency,
+            settlementRate
+          ),
+          note: "Settled across groups",
+          status: getInitialSettlementStatus(group, toUid, user.uid),
+          batchId,
+          createdBy: user.uid,
+          createdAt: Timestamp.fromDate(new Date()),
           updatedAt: serverTimestamp(),
         });
-        const group = groupListWithTotals.find(
-          (item) => item.id === expenseGroupId
+        batch.set(
+          doc(collection(db, "activity")),
+          buildActivity({
+            type: "payment",
+            message: `Settled ${formatCurrency(amount, currency)} with ${
+              counterpartySettle.name
+            } across groups`,
+            groupId: group.id,
+            groupName: group.name,
+            memberUids: group.members?.map((member) => member.uid) || [
+              user.uid,
+            ],
+          })
         );
-        const memberUids =
-          group?.members?.map((member) => member.uid) || [user.uid];
-        await logActivity({
-          type: "expense",
-          message: `Updated expense "${expenseCategory.trim()}"`,
-          groupId: expenseGroupId,
-          groupName: group?.name || "",
-          memberUids,
-        });
-      } else {
-        await addDoc(collection(db, "expenses"), {
-          groupId: expenseGroupId || "",
-          category: expenseCategory.trim(),
-        amount: Number(expenseAmount),
-        note: expenseNote.trim(),
-        currency: expenseCurrency,
-        paidByUid: payerId,
-        paidByName: payerName,
-        splitType: expenseSplitType,
-        createdBy: user.uid,
-        createdAt: Timestamp.fromDate(selectedDate),
-        updatedAt: serverTimestamp(),
       });
-        const group = groupListWithTotals.find(
-          (item) => item.id === expenseGroupId
-        );
-        const memberUids =
-          group?.members?.map((member) => member.uid) || [user.uid];
-        await logActivity({
-          type: "expense",
-          message: `Added expense "${expenseCategory.trim()}"`,
-          groupId: expenseGroupId,
-          groupName: group?.name || "",
-          memberUids,
-        });
-      }
-      resetExpenseForm();
-      setShowExpenseModal(false);
+      await batch.commit();
+      setCounterpartySettle(null);
     } catch (err) {
-      setExpenseError("Unable to save expense. Try again.");
+      setCounterpartyError("Unable to record payments. Try again.");
     } finally {
-      setExpenseBusy(false);
+      setSettlementBusy(false);
     }
   };
 
-  const handleEditExpense = (expense) => {
-    setEditingExpenseId(expense.id);
-    setExpenseGroupId(expense.groupId || "");
-    setExpenseCategory(expense.category || "");
-    setExpenseAmount(expense.amount ? String(expense.amount) : "");
-    setExpenseNote(expense.note || "");
-    setExpenseDate(
-      toDateInputValue(expense.createdAt || expense.updatedAt || new Date())
-    );
-    setExpenseCurrency(expense.currency || "EUR");
-    setExpensePaidBy(expense.paidByUid || expense.createdBy || "");
-    setExpenseSplitType(expense.splitType || "equal");
-    setExpenseError("");
-    setShowExpenseModal(true);
-  };
-
-  const handleDeleteGroup = async (group) => {
+  const handleRespondSettlement = async (settlement, status) => {
     if (!user) return;
-    setGroupActionError("");
     try {
-      await deleteDoc(doc(db, "groups", group.id));
-      const memberUids = group.members?.map((member) => member.uid) || [
-        user.uid,
-      ];
+      await updateDoc(doc(db, "settlements", settlement.id), {
+        status,
+        respondedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      const group = groupList.find(
+        (item) => item.id === settlement.groupId
+      );
       await logActivity({
-        type: "group",
-        message: `Deleted group`,
-        groupId: group.id,
-        groupName: group.name,
-        memberUids,
+        type: "payment",
+        message: `${status === "confirmed" ? "Confirmed" : "Disputed"} payment from ${
+          settlement.fromName
+        } of ${formatCurrency(settlement.amount, settlement.currency)}`,
+        groupId: settlement.groupId,
+        groupName: group?.name || "",
+        memberUids: group?.members?.map((member) => member.uid) || [user.uid],
       });
     } catch (err) {
-      setGroupActionError("Unable to delete group. Try again.");
+      setGroupActionError("Unable to update payment. Try again.");
     }
   };
 
-  const handleDeleteExpense = async (expense) => {
+  const handleDeleteSettlement = async (settlement) => {
     if (!user) return;
     setExpenseActionError("");
     try {
-      await deleteDoc(doc(db, "expenses", expense.id));
-      const group = groupListWithTotals.find(
-        (item) => item.id === expense.groupId
+      await deleteDoc(doc(db, "settlements", settlement.id));
+      const group = groupList.find(
+        (item) => item.id === settlement.groupId
       );
-      const memberUids =
-        group?.members?.map((member) => member.uid) || [user.uid];
       await logActivity({
-        type: "expense",
-        message: `Deleted expense "${expense.category || "Expense"}"`,
-        groupId: expense.groupId,
+        type: "payment",
+        message: `Deleted payment from ${settlement.fromName} to ${settlement.toName}`,
+        groupId: settlement.groupId,
         groupName: group?.name || "",
-        memberUids,
+        memberUids: group?.members?.map((member) => member.uid) || [user.uid],
       });
     } catch (err) {
-      setExpenseActionError("Unable to delete expense. Try again.");
+      setExpenseActionError("Unable to delete payment. Try again.");
     }
   };
 
@@ -3461,6 +6892,7 @@ export default function App() {
         fromUid: user.uid,
         fromEmail: user.email || "",
         fromName: user.displayName || user.email?.split("@")[0] || "Member",
+        guestUid: inviteGuestUid,
         status: "pending",
         createdAt: serverTimestamp(),
       });
@@ -3472,6 +6904,7 @@ export default function App() {
         memberUids: group?.members?.map((member) => member.uid) || [user.uid],
       });
       setInviteEmail("");
+      setInviteGuestUid("");
       setShowInviteModal(false);
     } catch (err) {
       setInviteError("Unable to send invite. Try again.");
@@ -3500,15 +6933,72 @@ export default function App() {
         toUid: user.uid,
         respondedAt: serverTimestamp(),
       });
-      const group = groupListWithTotals.find(
-        (item) => item.id === invite.groupId
+      const groupSnap = await getDoc(doc(db, "groups", invite.groupId));
+      const group = groupSnap.exists() ? groupSnap.data() : null;
+      const guest = findClaimableGuest(group, invite, user.email);
+      if (guest && !isGroupLocked(group)) {
+        const members = group.members.filter(
+          (member) => member.uid !== guest.uid
+        );
+        const [expenseSnap, settlementSnap] = await Promise.all([
+          getDocs(
+            query(
+              collection(db, "expenses"),
+              where("groupId", "==", invite.groupId)
+            )
+          ),
+          getDocs(
+            query(
+              collection(db, "settlements"),
+              where("groupId", "==", invite.groupId)
+            )
+          ),
+        ]);
+        const batch = writeBatch(db);
+        batch.update(doc(db, "groups", invite.groupId), {
+          members,
+          membersCount: members.length,
+          defaultWeights: renameMemberKey(
+            group.defaultWeights || {},
+            guest.uid,
+            user.uid
+          ),
+          [`claimedGuests.${guest.uid}`]: user.uid,
+          updatedAt: serverTimestamp(),
+        });
+        expenseSnap.docs.forEach((expenseDoc) => {
+          const updates = reassignExpenseMember(
+            expenseDoc.data(),
+            guest.uid,
+            user.uid,
+            memberName
+          );
+          if (Object.keys(updates).length) {
+            batch.update(expenseDoc.ref, updates);
+          }
+        });
+        settlementSnap.docs.forEach((settlementDoc) => {
+          const data = settlementDoc.data();
+          if (data.fromUid === guest.uid) {
+            batch.update(settlementDoc.ref, {
+              fromUid: user.uid,
+              fromName: memberName,
+            });
+          } else if (data.toUid === guest.uid) {
+            batch.update(settlementDoc.ref, {
+              toUid: user.uid,
+              toName: memberName,
+            });
+          }
+        });
+        await batch.commit();
+      }
+      const memberUids = Array.from(
+        new Set([...(group?.memberUids || []), user.uid])
       );
-      const existingMembers =
-        group?.members?.map((member) => member.uid) || [];
-      const memberUids = Array.from(new Set([...existingMembers, user.uid]));
       await logActivity({
         type: "invite",
-        message: `Accepted invite`,
+        message: guest ? `Accepted invite as ${guest.name}` : `Accepted invite`,
         groupId: invite.groupId,
         groupName: invite.groupName || group?.name || "",
         memberUids,
@@ -3610,6 +7100,10 @@ export default function App() {
           phone: profile.phone.trim(),
           address: profile.address.trim(),
           email: user.email || profile.email || "",
+          upiId: profile.upiId.trim(),
+          iban: profile.iban.replace(/\s+/g, "").toUpperCase(),
+          bic: profile.bic.trim().toUpperCase(),
+          paypalMe: profile.paypalMe.trim().replace(/^@/, ""),
           updatedAt: serverTimestamp(),
         },
         { merge: true }
@@ -3627,6 +7121,84 @@ export default function App() {
     }
   };
 
+  const handleImportRateFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = "";
+    if (!file || !user) return;
+    setRateImportError("");
+    setRateImportMessage("");
+    const reader = new FileReader();
+    reader.onload = async () => {
+      const days = parseRateFile(reader.result);
+      const dates = Object.keys(days).sort();
+      if (!dates.length) {
+        setRateImportError(
+          "No rates found. Use the ECB euro reference history (XML or CSV) or a date,currency,rate CSV."
+        );
+        return;
+      }
+      const ownerId = rateImportOwnerId || user.uid;
+      const ownerType = rateImportOwnerId ? "group" : "user";
+      const months = dates.reduce((acc, date) => {
+        const month = date.slice(0, 7);
+        acc.set(month, { ...(acc.get(month) || {}), [date]: days[date] });
+        return acc;
+      }, new Map());
+      const entries = Array.from(months.entries());
+      setRateImportBusy(true);
+      try {
+        for (let i = 0; i < entries.length; i += 400) {
+          const batch = writeBatch(db);
+          entries.slice(i, i + 400).forEach(([month, monthDays]) => {
+            batch.set(
+              doc(db, "exchangeRates", `${ownerId}_${month}`),
+              {
+                ownerId,
+                ownerType,
+                month,
+                days: monthDays,
+                updatedBy: user.uid,
+                updatedAt: serverTimestamp(),
+              },
+              { merge: true }
+            );
+          });
+          await batch.commit();
+        }
+        setRateImportMessage(
+          `Imported ${dates.length} days of rates (${dates[0]} to ${
+            dates[dates.length - 1]
+          }).`
+        );
+      } catch (err) {
+        setRateImportError("Unable to save exchange rates. Try again.");
+      } finally {
+        setRateImportBusy(false);
+      }
+    };
+    reader.onerror = () => {
+      setRateImportError("Unable to read that file.");
+    };
+    reader.readAsText(file);
+  };
+
+  const handleDeleteRateStore = async (store) => {
+    const ownedDocs = rateDocs.filter((item) => item.ownerId === store.ownerId);
+    setRateImportError("");
+    setRateImportMessage("");
+    try {
+      for (let i = 0; i < ownedDocs.length; i += 400) {
+        const batch = writeBatch(db);
+        ownedDocs.slice(i, i + 400).forEach((item) => {
+          batch.delete(doc(db, "exchangeRates", item.id));
+        });
+        await batch.commit();
+      }
+    } catch (err) {
+      setRateImportError("Unable to remove exchange rates. Try again.");
+    }
+  };
+
   const handleUpdatePassword = async (event) => {
     event.preventDefault();
     if (!user || !user.email) return;
@@ -3764,7 +7336,6 @@ export default function App() {
       ? imported.map((item) => ({ ...item, currency: override }))
       : imported;
     setImportedExpenses(normalized);
-    setImportCurrencyOverride(override);
     const latestDate = imported.reduce((latest, item) => {
       if (!item.createdAt) return latest;
       const current = item.createdAt instanceof Date ? item.createdAt : null;
@@ -3806,7 +7377,6 @@ export default function App() {
 
   const handleClearImportedData = () => {
     setImportedExpenses([]);
-    setImportCurrencyOverride("");
     setActiveCsvId("");
     setImportError("");
     const defaultMonthKey = new Date().toISOString().slice(0, 7);
@@ -3963,6 +7533,7 @@ export default function App() {
     const nextGroupId = groupId || groupList[0]?.id || "";
     setInviteGroupId(nextGroupId);
     setInviteEmail("");
+    setInviteGuestUid("");
     setInviteError("");
     setShowInviteModal(true);
   };
@@ -4013,6 +7584,93 @@ export default function App() {
 
   const userLabel =
     user.displayName || (user.email ? user.email.split("@")[0] : "Member");
+  const expenseGroup = groupList.find((group) => group.id === expenseGroupId);
+  const expenseGroupMembers = getGroupMembers(expenseGroup);
+  const expenseParticipantMembers = expenseGroupMembers.filter((member) =>
+    expenseParticipants.includes(member.uid)
+  );
+  const expenseReceipt = {
+    lineItems: expenseLineItems.map((item) => ({
+      ...item,
+      amount: Number(item.amount || 0),
+    })),
+    taxAmount: expenseTax,
+    serviceCharge: expenseServiceCharge,
+    tipAmount: expenseTip,
+    currency: expenseCurrency,
+  };
+  const expenseReceiptTotal = [
+    ...expenseReceipt.lineItems.map((item) => item.amount),
+    expenseTax,
+    expenseServiceCharge,
+    expenseTip,
+  ].reduce((sum, value) => addMoney(sum, value, expenseCurrency), 0);
+  const expenseGroupCurrency = expenseGroup?.currency || expenseCurrency;
+  const expenseDatedRate = getDatedExchangeRate(
+    expenseCurrency,
+    expenseGroupCurrency,
+    expenseDate,
+    getGroupRateDays(expenseGroupId)
+  );
+  const expenseReferenceRate =
+    expenseDatedRate || getExchangeRate(expenseCurrency, expenseGroupCurrency);
+  const expenseConvertedAmount = fromMinorUnits(
+    toMinorUnits(
+      (expenseSplitType === "itemized"
+        ? expenseReceiptTotal
+        : Number(expenseAmount || 0)) *
+        (Number(expenseRate) || expenseReferenceRate || 0),
+      expenseGroupCurrency
+    ),
+    expenseGroupCurrency
+  );
+  const expenseReceiptShares = calculateItemizedShares(
+    expenseReceipt,
+    expenseGroupMembers
+  );
+  const updateExpenseLineItem = (itemId, updates) => {
+    setExpenseLineItems((prev) =>
+      prev.map((item) => (item.id === itemId ? { ...item, ...updates } : item))
+    );
+  };
+  const editingGroupMembers = getGroupMembers(
+    groupList.find((group) => group.id === editingGroupId)
+  );
+  const handleCopyPaymentOption = async (value) => {
+    setPaymentRequestError("");
+    try {
+      await navigator.clipboard.writeText(value);
+    } catch (err) {
+      setPaymentRequestError("Unable to copy. Select the text and copy it manually.");
+    }
+  };
+
+  const paymentRequestOptions = paymentRequest
+    ? getPaymentRequestOptions(profile, paymentRequest)
+    : [];
+  const pendingSettlements = settlementList.filter(
+    (settlement) =>
+      settlement.status === "pending" && settlement.toUid === user?.uid
+  );
+  const unseenReminders = receivedReminders.filter(
+    (reminder) => !reminder.seenAt || reminder.seenAt < reminder.sentAt
+  );
+  const notificationCount =
+    receivedInvites.length + pendingSettlements.length + unseenReminders.length;
+  const settlementGroup = groupList.find(
+    (group) => group.id === settlementGroupId
+  );
+  const settlementMembers = getGroupMembers(settlementGroup);
+  const settlementCurrency =
+    settlementLedgerCurrency || settlementGroup?.currency || "EUR";
+  const settlementLedgers = getCurrencyLedgers(
+    settlementGroup,
+    expenseList,
+    settlementList
+  );
+  const inviteGuests = getGroupMembers(
+    groupList.find((group) => group.id === inviteGroupId)
+  ).filter((member) => member.guest);
 
   return (
     <div className="app">
@@ -4194,8 +7852,8 @@ export default function App() {
                     fill="currentColor"
                   />
                 </svg>
-                {receivedInvites.length > 0 && (
-                  <span className="notif__badge">{receivedInvites.length}</span>
+                {notificationCount > 0 && (
+                  <span className="notif__badge">{notificationCount}</span>
                 )}
               </button>
               {showNotifications && (
@@ -4254,6 +7912,102 @@ export default function App() {
                   ) : (
                     <div className="notif__empty">No pending invites.</div>
                   )}
+                  <div className="notif__header">
+                    <span>Payments to confirm</span>
+                  </div>
+                  {pendingSettlements.length ? (
+                    <div className="notif__list">
+                      {pendingSettlements.map((settlement) => (
+                        <div className="notif__item" key={settlement.id}>
+                          <div>
+                            <strong>
+                              {formatCurrency(
+                                settlement.amount,
+                                settlement.currency
+                              )}
+                            </strong>
+                            <span>
+                              {settlement.fromName} says they paid you
+                            </span>
+                          </div>
+                          <div className="notif__actions">
+                            <button
+                              className="ghost"
+                              onClick={() =>
+                                handleRespondSettlement(settlement, "confirmed")
+                              }
+                            >
+                              Confirm
+                            </button>
+                            <button
+                              className="danger"
+                              onClick={() =>
+                                handleRespondSettlement(settlement, "disputed")
+                              }
+                            >
+                              Dispute
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="notif__empty">No payments to confirm.</div>
+                  )}
+                  {unseenReminders.length > 0 && (
+                    <>
+                      <div className="notif__header">
+                        <span>Reminders</span>
+                      </div>
+                      <div className="notif__list">
+                        {unseenReminders.map((reminder) => (
+                          <div className="notif__item" key={reminder.id}>
+                            <div>
+                              <strong>
+                                {reminder.amounts
+                                  .map((item) =>
+                                    formatCurrency(item.amount, item.currency)
+                                  )
+                                  .join(" + ")}
+                              </strong>
+                              <span>
+                                {reminder.fromName} reminds you - {reminder.groupName}
+                              </span>
+                            </div>
+                            <div className="notif__actions">
+                              {reminder.amounts.map((item) => (
+                                <button
+                                  key={item.currency}
+                                  className="ghost"
+                                  onClick={() => {
+                                    openSettlementModal({
+                                      groupId: reminder.groupId,
+                                      fromUid: user.uid,
+                                      toUid: reminder.fromUid,
+                                      amount: item.amount,
+                                      currency: item.currency,
+                                    });
+                                    handleDismissReminder(reminder);
+                                    setShowNotifications(false);
+                                  }}
+                                >
+                                  {reminder.amounts.length > 1
+                                    ? `Pay ${item.currency}`
+                                    : "Pay"}
+                                </button>
+                              ))}
+                              <button
+                                className="ghost"
+                                onClick={() => handleDismissReminder(reminder)}
+                              >
+                                Dismiss
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
                 </div>
               )}
             </div>
@@ -4374,9 +8128,11 @@ export default function App() {
           <DashboardView
             groupTotal={dashboardGroupTotal}
             groupList={dashboardGroupListWithTotals}
-            expenses={dashboardExpenses}
+            expenses={dashboardReportingExpenses}
+            balanceExpenses={expenseList}
+            settlements={settlementList}
             totalExpenses={dashboardTotalExpenses}
-            summaryCurrency={dashboardSummaryCurrency}
+            summaryCurrency={reportingCurrency}
             onNavigate={setActiveNav}
             onSelectGroup={handleSelectGroup}
             onSelectExpense={handleSelectExpense}
@@ -4389,6 +8145,7 @@ export default function App() {
             onTileMonthChange={handleTileMonthChange}
             onReorderTiles={handleReorderTiles}
             onResizeTile={handleResizeTile}
+            getRates={getCurrentRates}
           />
         )}
         {activeNav === "Groups" && (
@@ -4399,6 +8156,13 @@ export default function App() {
               inviteCount: sentInviteCounts.get(group.id) || 0,
               onEdit: () => handleEditGroup(group),
               onInvite: () => openInviteModal(group.id),
+              onFinalize: () =>
+                openConfirmDialog({
+                  title: "Finalize group",
+                  message: `Finalize "${group.name}"? Expenses will be locked and the final settlement plan saved.`,
+                  confirmLabel: "Finalize group",
+                  onConfirm: () => handleFinalizeGroup(group),
+                }),
               onDelete: () =>
                 openConfirmDialog({
                   title: "Delete group",
@@ -4422,15 +8186,19 @@ export default function App() {
             }
             onUpdateCsvCurrency={handleUpdateStoredCsvCurrency}
             activeCsvId={activeCsvId}
+            reportingCurrency={reportingCurrency}
           />
         )}
         {activeNav === "Insight" && (
           <InsightView
             groupList={dashboardGroupListWithTotals}
-            expenses={dashboardExpenses}
+            expenses={dashboardReportingExpenses}
+            balanceExpenses={expenseList}
+            settlements={settlementList}
             selectedGroupId={insightGroupId}
             onSelectGroup={setInsightGroupId}
-            currencyOverride={importCurrencyOverride}
+            reportCurrency={reportingCurrency}
+            getRates={getCurrentRates}
           />
         )}
         {activeNav === "Expense" && (
@@ -4468,6 +8236,8 @@ export default function App() {
           <SummaryView
             groupList={groupListWithTotals}
             expenses={filteredExpenses}
+            balanceGroupList={groupList}
+            balanceExpenses={expenseList}
             selectedGroupId={selectedGroupId}
             onSelectGroup={setSelectedGroupId}
             onAddExpense={openNewExpenseModal}
@@ -4480,6 +8250,24 @@ export default function App() {
                 onConfirm: () => handleDeleteExpense(expense),
               })
             }
+            settlements={settlementList}
+            onRecordSettlement={openSettlementModal}
+            onSettleCounterparty={openCounterpartySettle}
+            onRequestPayment={(request) => {
+              setPaymentRequestError("");
+              setPaymentRequest(request);
+            }}
+            onSendReminder={handleSendReminder}
+            sentReminders={sentReminders}
+            currentUserId={user.uid}
+            onDeleteSettlement={(settlement) =>
+              openConfirmDialog({
+                title: "Delete payment",
+                message: `Delete the payment from ${settlement.fromName} to ${settlement.toName}?`,
+                confirmLabel: "Delete payment",
+                onConfirm: () => handleDeleteSettlement(settlement),
+              })
+            }
           />
         )}
         {activeNav === "Settings" && (
@@ -4490,6 +8278,28 @@ export default function App() {
             profileBusy={profileBusy}
             profileError={profileError}
             onOpenPasswordModal={openPasswordModal}
+            preferredReportingCurrency={preferredReportingCurrency}
+            reportingCurrency={reportingCurrency}
+            onReportingCurrencyChange={setPreferredReportingCurrency}
+            unconvertedCurrencies={unconvertedCurrencies}
+            groupList={groupList}
+            rateFileRef={rateFileRef}
+            rateImportOwnerId={rateImportOwnerId}
+            onRateImportOwnerChange={setRateImportOwnerId}
+            onImportRateFile={handleImportRateFile}
+            rateImportBusy={rateImportBusy}
+            rateImportError={rateImportError}
+            rateImportMessage={rateImportMessage}
+            rateStores={rateStores}
+            onDeleteRateStore={(store) =>
+              openConfirmDialog({
+                title: "Remove exchange rates",
+                message: `Remove the imported rates stored for "${store.name}"?`,
+                confirmLabel: "Remove rates",
+                onConfirm: () => handleDeleteRateStore(store),
+              })
+            }
+            rateCoverageGaps={rateCoverageGaps}
           />
         )}
       </main>
@@ -4530,16 +8340,10 @@ export default function App() {
               </label>
               <label>
                 Currency
-                <select
+                <CurrencyPicker
                   value={newGroupCurrency}
-                  onChange={(event) => setNewGroupCurrency(event.target.value)}
-                >
-                  {currencyOptions.map((code) => (
-                    <option key={code} value={code}>
-                      {code}
-                    </option>
-                  ))}
-                </select>
+                  onChange={setNewGroupCurrency}
+                />
               </label>
               <label>
                 Group type
@@ -4554,6 +8358,103 @@ export default function App() {
                   ))}
                 </select>
               </label>
+              <label className="participant-picker__option">
+                <input
+                  type="checkbox"
+                  checked={newGroupSimplify}
+                  onChange={(event) => setNewGroupSimplify(event.target.checked)}
+                />
+                Simplify debts into the fewest payments
+              </label>
+              <label className="participant-picker__option">
+                <input
+                  type="checkbox"
+                  checked={newGroupPerCurrency}
+                  onChange={(event) => setNewGroupPerCurrency(event.target.checked)}
+                />
+                Keep a separate balance per currency instead of converting
+              </label>
+              <label>
+                Payment reminders
+                <select
+                  value={newGroupReminderCadence}
+                  onChange={(event) =>
+                    setNewGroupReminderCadence(Number(event.target.value))
+                  }
+                >
+                  {reminderCadenceOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {editingGroupId && editingGroupMembers.length > 0 && (
+                <div className="split-editor">
+                  <span>Default shares for weighted splits</span>
+                  {editingGroupMembers.map((member) => (
+                    <label className="split-editor__row" key={member.uid}>
+                      {member.name || member.email || member.uid}
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={newGroupWeights[member.uid] ?? "1"}
+                        onChange={(event) =>
+                          setNewGroupWeights((prev) => ({
+                            ...prev,
+                            [member.uid]: event.target.value,
+                          }))
+                        }
+                      />
+                    </label>
+                  ))}
+                  <p className="muted small">
+                    A couple can count as 2. Expenses can override these.
+                  </p>
+                </div>
+              )}
+              {editingGroupId && (
+                <div className="split-editor">
+                  <span>Guests without an account</span>
+                  {editingGroupMembers
+                    .filter((member) => member.guest)
+                    .map((member) => (
+                      <div className="split-editor__row" key={member.uid}>
+                        {member.name}
+                        <span className="muted small">
+                          {member.email || "No email"}
+                        </span>
+                      </div>
+                    ))}
+                  <div className="line-item__fields guest-fields">
+                    <input
+                      type="text"
+                      value={guestName}
+                      onChange={(event) => setGuestName(event.target.value)}
+                      placeholder="Guest name"
+                    />
+                    <input
+                      type="email"
+                      value={guestEmail}
+                      onChange={(event) => setGuestEmail(event.target.value)}
+                      placeholder="Email (optional)"
+                    />
+                    <button
+                      className="ghost"
+                      type="button"
+                      onClick={handleAddGuest}
+                      disabled={groupBusy}
+                    >
+                      Add guest
+                    </button>
+                  </div>
+                  <p className="muted small">
+                    Guests can pay and share expenses. Invite them later to
+                    hand their history over to their own account.
+                  </p>
+                </div>
+              )}
               {groupError && <div className="auth__error">{groupError}</div>}
               <div className="modal__actions">
                 <button
@@ -4610,57 +8511,200 @@ export default function App() {
                     if (selectedGroup && selectedGroup.currency) {
                       setExpenseCurrency(selectedGroup.currency);
                     }
+                    setExpenseRate("");
+                    setExpenseParticipants(
+                      getGroupMembers(selectedGroup).map((member) => member.uid)
+                    );
+                    setExpenseMultiPayer(false);
+                    setExpensePayerAmounts({});
                   }}
                 >
                   <option value="">No group</option>
-                  {groupList.map((group) => (
-                    <option key={group.id} value={group.id}>
-                      {group.name}
-                    </option>
-                  ))}
+                  {groupList
+                    .filter((group) => !isGroupLocked(group))
+                    .map((group) => (
+                      <option key={group.id} value={group.id}>
+                        {group.name}
+                      </option>
+                    ))}
                 </select>
               </label>
               <label>
-                Paid by
+                Entry type
                 <select
-                  value={expensePaidBy || user.uid}
-                  onChange={(event) => setExpensePaidBy(event.target.value)}
-                  disabled={!expenseGroupId}
+                  value={expenseEntryType}
+                  onChange={(event) => setExpenseEntryType(event.target.value)}
                 >
-                  <option value={user.uid}>You</option>
-                  {groupList
-                    .find((group) => group.id === expenseGroupId)
-                    ?.members.map((member) => (
-                      <option key={member.uid} value={member.uid}>
-                        {member.name || member.email || member.uid}
-                      </option>
-                    ))}
+                  {entryTypeOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
                 </select>
               </label>
+              {!expenseMultiPayer && (
+                <label>
+                  {expenseEntryType === "refund" ? "Received by" : "Paid by"}
+                  <select
+                    value={expensePaidBy || user.uid}
+                    onChange={(event) => setExpensePaidBy(event.target.value)}
+                    disabled={!expenseGroupId}
+                  >
+                    <option value={user.uid}>You</option>
+                    {groupList
+                      .find((group) => group.id === expenseGroupId)
+                      ?.members.map((member) => (
+                        <option key={member.uid} value={member.uid}>
+                          {member.name || member.email || member.uid}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+              )}
+              {expenseGroupMembers.length > 1 && (
+                <label className="participant-picker__option">
+                  <input
+                    type="checkbox"
+                    checked={expenseMultiPayer}
+                    onChange={(event) => setExpenseMultiPayer(event.target.checked)}
+                  />
+                  {expenseEntryType === "refund"
+                    ? "Several people received it"
+                    : "Several people paid"}
+                </label>
+              )}
+              {expenseMultiPayer && (
+                <div className="split-editor">
+                  <span>
+                    {expenseEntryType === "refund"
+                      ? "Received amounts"
+                      : "Paid amounts"}
+                  </span>
+                  {expenseGroupMembers.map((member) => (
+                    <label className="split-editor__row" key={member.uid}>
+                      {member.name || member.email || member.uid}
+                      <input
+                        type="number"
+                        min="0"
+                        step={getCurrencyStep(expenseCurrency)}
+                        value={expensePayerAmounts[member.uid] || ""}
+                        onChange={(event) =>
+                          setExpensePayerAmounts((prev) => ({
+                            ...prev,
+                            [member.uid]: event.target.value,
+                          }))
+                        }
+                        placeholder="0"
+                      />
+                    </label>
+                  ))}
+                  <p className="muted small">
+                    Paid{" "}
+                    {formatCurrency(
+                      expenseGroupMembers.reduce(
+                        (sum, member) =>
+                          sum + Number(expensePayerAmounts[member.uid] || 0),
+                        0
+                      ),
+                      expenseCurrency
+                    )}{" "}
+                    of{" "}
+                    {formatCurrency(
+                      expenseSplitType === "itemized"
+                        ? expenseReceiptTotal
+                        : Number(expenseAmount || 0),
+                      expenseCurrency
+                    )}
+                  </p>
+                </div>
+              )}
               <label>
                 Split type
                 <select
                   value={expenseSplitType}
                   onChange={(event) => setExpenseSplitType(event.target.value)}
                 >
-                  <option value="equal">Equal split</option>
-                  <option value="exact">Exact amounts</option>
-                  <option value="weighted">Weighted</option>
+                  {splitTypeOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
                 </select>
               </label>
+              {expenseGroupMembers.length > 0 && expenseSplitType !== "itemized" && (
+                <div className="split-editor">
+                  <span>Participants</span>
+                  <div className="participant-picker">
+                    {expenseGroupMembers.map((member) => (
+                      <label
+                        className="participant-picker__option"
+                        key={member.uid}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={expenseParticipants.includes(member.uid)}
+                          onChange={(event) =>
+                            setExpenseParticipants((prev) =>
+                              event.target.checked
+                                ? [...prev, member.uid]
+                                : prev.filter((uid) => uid !== member.uid)
+                            )
+                          }
+                        />
+                        {member.name || member.email || member.uid}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
               <label>
                 Currency
-                <select
+                <CurrencyPicker
                   value={expenseCurrency}
-                  onChange={(event) => setExpenseCurrency(event.target.value)}
-                >
-                  {currencyOptions.map((code) => (
-                    <option key={code} value={code}>
-                      {code}
-                    </option>
-                  ))}
-                </select>
+                  onChange={(currency) => {
+                    setExpenseCurrency(currency);
+                    setExpenseRate("");
+                  }}
+                />
               </label>
+              {expenseCurrency !== expenseGroupCurrency && (
+                <div className="split-editor">
+                  <label>
+                    Rate to {expenseGroupCurrency}
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={expenseRate}
+                      onChange={(event) => setExpenseRate(event.target.value)}
+                      placeholder={
+                        expenseReferenceRate
+                          ? String(Number(expenseReferenceRate.toFixed(6)))
+                          : "Rate"
+                      }
+                    />
+                  </label>
+                  {expenseRate || expenseReferenceRate ? (
+                    <p className="muted small">
+                      {formatCurrency(expenseConvertedAmount, expenseGroupCurrency)} in
+                      the group currency.{" "}
+                      {expenseRate
+                        ? "Using your rate."
+                        : `Using the ${
+                            expenseDatedRate ? "imported rate for that date" : "reference rate"
+                          }; enter what your card statement charged to override it.`}
+                    </p>
+                  ) : (
+                    <p className="muted small">
+                      No rate to {expenseGroupCurrency} is available for{" "}
+                      {expenseCurrency} on that date.{" "}
+                      {expenseGroup?.balanceMode === "perCurrency"
+                        ? "This group keeps it as a separate balance, so a rate is optional."
+                        : "Enter the rate you were charged or import rates in Settings."}
+                    </p>
+                  )}
+                </div>
+              )}
               <label>
                 Category
                 <select
@@ -4679,12 +8723,280 @@ export default function App() {
                 <input
                   type="number"
                   min="0"
-                  step="0.01"
-                  value={expenseAmount}
+                  step={getCurrencyStep(expenseCurrency)}
+                  value={
+                    expenseSplitType === "itemized"
+                      ? expenseReceiptTotal
+                      : expenseAmount
+                  }
                   onChange={(event) => setExpenseAmount(event.target.value)}
+                  readOnly={expenseSplitType === "itemized"}
                   placeholder="120"
                 />
               </label>
+              {expenseSplitType === "exact" && (
+                <div className="split-editor">
+                  <span>Exact amounts</span>
+                  {expenseParticipantMembers.length ? (
+                    <>
+                      {expenseParticipantMembers.map((member) => (
+                        <label className="split-editor__row" key={member.uid}>
+                          {member.name || member.email || member.uid}
+                          <input
+                            type="number"
+                            min="0"
+                            step={getCurrencyStep(expenseCurrency)}
+                            value={expenseExactShares[member.uid] || ""}
+                            onChange={(event) =>
+                              setExpenseExactShares((prev) => ({
+                                ...prev,
+                                [member.uid]: event.target.value,
+                              }))
+                            }
+                            placeholder="0"
+                          />
+                        </label>
+                      ))}
+                      <p className="muted small">
+                        Assigned{" "}
+                        {formatCurrency(
+                          expenseParticipantMembers.reduce(
+                            (sum, member) =>
+                              sum + Number(expenseExactShares[member.uid] || 0),
+                            0
+                          ),
+                          expenseCurrency
+                        )}{" "}
+                        of {formatCurrency(Number(expenseAmount || 0), expenseCurrency)}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="muted small">
+                      Choose a group and participants to assign exact amounts.
+                    </p>
+                  )}
+                </div>
+              )}
+              {expenseSplitType === "weighted" && (
+                <div className="split-editor">
+                  <span>Shares</span>
+                  {expenseParticipantMembers.length ? (
+                    expenseParticipantMembers.map((member) => (
+                      <label className="split-editor__row" key={member.uid}>
+                        {member.name || member.email || member.uid}
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={
+                            expenseWeights[member.uid] ??
+                            String(getMemberWeight(expenseGroup, null, member.uid))
+                          }
+                          onChange={(event) =>
+                            setExpenseWeights((prev) => ({
+                              ...prev,
+                              [member.uid]: event.target.value,
+                            }))
+                          }
+                        />
+                      </label>
+                    ))
+                  ) : (
+                    <p className="muted small">
+                      Choose a group and participants to assign shares.
+                    </p>
+                  )}
+                </div>
+              )}
+              {expenseSplitType === "itemized" && (
+                <div className="split-editor">
+                  <span>Line items</span>
+                  {expenseGroupMembers.length ? (
+                    <>
+                      {expenseLineItems.map((item) => (
+                        <div className="line-item" key={item.id}>
+                          <div className="line-item__fields">
+                            <input
+                              type="text"
+                              value={item.label}
+                              onChange={(event) =>
+                                updateExpenseLineItem(item.id, {
+                                  label: event.target.value,
+                                })
+                              }
+                              placeholder="Pad thai"
+                            />
+                            <input
+                              type="number"
+                              min="0"
+                              step={getCurrencyStep(expenseCurrency)}
+                              value={item.amount}
+                              onChange={(event) =>
+                                updateExpenseLineItem(item.id, {
+                                  amount: event.target.value,
+                                })
+                              }
+                              placeholder="0"
+                            />
+                            <button
+                              className="ghost"
+                              type="button"
+                              onClick={() =>
+                                setExpenseLineItems((prev) =>
+                                  prev.filter((entry) => entry.id !== item.id)
+                                )
+                              }
+                            >
+                              Remove
+                            </button>
+                          </div>
+                          <div className="participant-picker">
+                            {expenseGroupMembers.map((member) => (
+                              <label
+                                className="participant-picker__option"
+                                key={member.uid}
+                              >
+                                <input
+                                  type="checkbox"
+                                  checked={item.memberUids.includes(member.uid)}
+                                  onChange={(event) =>
+                                    updateExpenseLineItem(item.id, {
+                                      memberUids: event.target.checked
+                                        ? [...item.memberUids, member.uid]
+                                        : item.memberUids.filter(
+                                            (uid) => uid !== member.uid
+                                          ),
+                                    })
+                                  }
+                                />
+                                {member.name || member.email || member.uid}
+                              </label>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        className="ghost"
+                        type="button"
+                        onClick={() =>
+                          setExpenseLineItems((prev) => [
+                            ...prev,
+                            {
+                              id: `item-${Date.now()}-${prev.length}`,
+                              label: "",
+                              amount: "",
+                              memberUids: [],
+                            },
+                          ])
+                        }
+                      >
+                        Add item
+                      </button>
+                      <label className="split-editor__row">
+                        Tax
+                        <input
+                          type="number"
+                          min="0"
+                          step={getCurrencyStep(expenseCurrency)}
+                          value={expenseTax}
+                          onChange={(event) => setExpenseTax(event.target.value)}
+                          placeholder="0"
+                        />
+                      </label>
+                      <label className="split-editor__row">
+                        Service charge
+                        <input
+                          type="number"
+                          min="0"
+                          step={getCurrencyStep(expenseCurrency)}
+                          value={expenseServiceCharge}
+                          onChange={(event) =>
+                            setExpenseServiceCharge(event.target.value)
+                          }
+                          placeholder="0"
+                        />
+                      </label>
+                      <label className="split-editor__row">
+                        Tip
+                        <input
+                          type="number"
+                          min="0"
+                          step={getCurrencyStep(expenseCurrency)}
+                          value={expenseTip}
+                          onChange={(event) => setExpenseTip(event.target.value)}
+                          placeholder="0"
+                        />
+                      </label>
+                      {expenseReceiptShares.size > 0 && (
+                        <div className="metric-list">
+                          {expenseGroupMembers
+                            .filter((member) => expenseReceiptShares.has(member.uid))
+                            .map((member) => (
+                              <div key={member.uid}>
+                                <span>{member.name || member.email || member.uid}</span>
+                                <strong>
+                                  {formatCurrency(
+                                    expenseReceiptShares.get(member.uid),
+                                    expenseCurrency
+                                  )}
+                                </strong>
+                              </div>
+                            ))}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <p className="muted small">
+                      Choose a group to itemize the receipt.
+                    </p>
+                  )}
+                </div>
+              )}
+              {expenseSplitType === "percentage" && (
+                <div className="split-editor">
+                  <span>Percentages</span>
+                  {expenseParticipantMembers.length ? (
+                    <>
+                      {expenseParticipantMembers.map((member) => (
+                        <label className="split-editor__row" key={member.uid}>
+                          {member.name || member.email || member.uid}
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            value={expensePercentages[member.uid] || ""}
+                            onChange={(event) =>
+                              setExpensePercentages((prev) => ({
+                                ...prev,
+                                [member.uid]: event.target.value,
+                              }))
+                            }
+                            placeholder="0"
+                          />
+                        </label>
+                      ))}
+                      <p className="muted small">
+                        Assigned{" "}
+                        {Number(
+                          expenseParticipantMembers
+                            .reduce(
+                              (sum, member) =>
+                                sum + Number(expensePercentages[member.uid] || 0),
+                              0
+                            )
+                            .toFixed(2)
+                        )}
+                        % of 100%
+                      </p>
+                    </>
+                  ) : (
+                    <p className="muted small">
+                      Choose a group and participants to assign percentages.
+                    </p>
+                  )}
+                </div>
+              )}
               <label>
                 Date
                 <input
@@ -4733,6 +9045,292 @@ export default function App() {
         </div>
       )}
 
+      {showSettlementModal && (
+        <div className="modal">
+          <div className="modal__content">
+            <div className="modal__header">
+              <h3>Record payment</h3>
+              <button
+                className="ghost"
+                onClick={() => setShowSettlementModal(false)}
+              >
+                Close
+              </button>
+            </div>
+            <form className="modal__form" onSubmit={handleSaveSettlement}>
+              <label>
+                Group
+                <select
+                  value={settlementGroupId}
+                  onChange={(event) => {
+                    setSettlementGroupId(event.target.value);
+                    setSettlementToUid("");
+                    setSettlementLedgerCurrency("");
+                    setSettlementPayCurrency(
+                      groupList.find((group) => group.id === event.target.value)
+                        ?.currency || "EUR"
+                    );
+                    setSettlementRate("1");
+                  }}
+                >
+                  <option value="">Choose a group</option>
+                  {groupList.map((group) => (
+                    <option key={group.id} value={group.id}>
+                      {group.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                From
+                <select
+                  value={settlementFromUid}
+                  onChange={(event) => setSettlementFromUid(event.target.value)}
+                >
+                  <option value="">Choose who paid</option>
+                  {settlementMembers.map((member) => (
+                    <option key={member.uid} value={member.uid}>
+                      {member.name || member.email || member.uid}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                To
+                <select
+                  value={settlementToUid}
+                  onChange={(event) => setSettlementToUid(event.target.value)}
+                >
+                  <option value="">Choose who received it</option>
+                  {settlementMembers.map((member) => (
+                    <option key={member.uid} value={member.uid}>
+                      {member.name || member.email || member.uid}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {settlementLedgers.length > 1 && (
+                <label>
+                  Balance currency
+                  <select
+                    value={settlementCurrency}
+                    onChange={(event) => {
+                      setSettlementLedgerCurrency(event.target.value);
+                      setSettlementPayCurrency(event.target.value);
+                      setSettlementRate("1");
+                    }}
+                  >
+                    {settlementLedgers.map((ledger) => (
+                      <option key={ledger.currency} value={ledger.currency}>
+                        {ledger.currency}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label>
+                Amount ({settlementCurrency})
+                <input
+                  type="number"
+                  min="0"
+                  step={getCurrencyStep(settlementCurrency)}
+                  value={settlementAmount}
+                  onChange={(event) => setSettlementAmount(event.target.value)}
+                  placeholder="0"
+                />
+              </label>
+              <SettlementCurrencyFields
+                currency={settlementCurrency}
+                amount={settlementAmount}
+                payCurrency={settlementPayCurrency}
+                onPayCurrencyChange={(payCurrency) =>
+                  changeSettlementPayCurrency(
+                    payCurrency,
+                    settlementCurrency,
+                    settlementGroupId
+                  )
+                }
+                rate={settlementRate}
+                onRateChange={setSettlementRate}
+              />
+              <label>
+                Date
+                <input
+                  type="date"
+                  value={settlementDate}
+                  onChange={(event) => setSettlementDate(event.target.value)}
+                />
+              </label>
+              <label>
+                Note
+                <input
+                  type="text"
+                  value={settlementNote}
+                  onChange={(event) => setSettlementNote(event.target.value)}
+                  placeholder="Bank transfer, cash..."
+                />
+              </label>
+              {settlementError && (
+                <div className="auth__error">{settlementError}</div>
+              )}
+              <div className="modal__actions">
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={() => setShowSettlementModal(false)}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="primary"
+                  type="submit"
+                  disabled={settlementBusy}
+                >
+                  {settlementBusy ? "Saving..." : "Record payment"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {paymentRequest && (
+        <div className="modal">
+          <div className="modal__content">
+            <div className="modal__header">
+              <h3>
+                Request{" "}
+                {formatCurrency(paymentRequest.amount, paymentRequest.currency)}{" "}
+                from {paymentRequest.fromName}
+              </h3>
+              <button className="ghost" onClick={() => setPaymentRequest(null)}>
+                Close
+              </button>
+            </div>
+            {paymentRequestOptions.length ? (
+              <div className="payment-options">
+                {paymentRequestOptions.map((option) => (
+                  <div className="payment-option" key={option.id}>
+                    <strong>{option.label}</strong>
+                    <PaymentQr value={option.value} />
+                    {option.isLink ? (
+                      <a href={option.value} target="_blank" rel="noreferrer">
+                        {option.value}
+                      </a>
+                    ) : (
+                      <span className="muted small">
+                        Scan with a banking app to prefill the transfer.
+                      </span>
+                    )}
+                    <button
+                      className="ghost"
+                      type="button"
+                      onClick={() => handleCopyPaymentOption(option.value)}
+                    >
+                      Copy
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="modal__body">
+                Add a UPI ID (INR), IBAN (EUR), or PayPal.me username in
+                Settings to request {paymentRequest.currency} payments.
+              </p>
+            )}
+            {paymentRequestError && (
+              <div className="auth__error">{paymentRequestError}</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {counterpartySettle && (
+        <div className="modal">
+          <div className="modal__content">
+            <div className="modal__header">
+              <h3>Settle with {counterpartySettle.name}</h3>
+              <button
+                className="ghost"
+                onClick={() => setCounterpartySettle(null)}
+              >
+                Close
+              </button>
+            </div>
+            <form className="modal__form" onSubmit={handleSettleCounterparty}>
+              <div className="metric-list">
+                {counterpartySettle.groups.map((entry) => (
+                  <div key={entry.groupId}>
+                    <span>
+                      {entry.groupName}:{" "}
+                      {entry.amount > 0
+                        ? `${counterpartySettle.name} pays you`
+                        : `you pay ${counterpartySettle.name}`}
+                    </span>
+                    <strong>
+                      {formatCurrency(
+                        Math.abs(entry.amount),
+                        counterpartySettle.currency
+                      )}
+                    </strong>
+                  </div>
+                ))}
+              </div>
+              <label>
+                {counterpartySettle.net >= 0
+                  ? `Amount ${counterpartySettle.name} pays you`
+                  : `Amount you pay ${counterpartySettle.name}`}
+                <input
+                  type="number"
+                  min="0"
+                  step={getCurrencyStep(counterpartySettle.currency)}
+                  value={counterpartyAmount}
+                  onChange={(event) => setCounterpartyAmount(event.target.value)}
+                  disabled={!counterpartySettle.net}
+                />
+              </label>
+              <SettlementCurrencyFields
+                currency={counterpartySettle.currency}
+                amount={counterpartyAmount}
+                payCurrency={settlementPayCurrency}
+                onPayCurrencyChange={(payCurrency) =>
+                  changeSettlementPayCurrency(
+                    payCurrency,
+                    counterpartySettle.currency,
+                    ""
+                  )
+                }
+                rate={settlementRate}
+                onRateChange={setSettlementRate}
+              />
+              <p className="muted small">
+                A partial amount is split across the groups in proportion to
+                each group's debt.
+              </p>
+              {counterpartyError && (
+                <div className="auth__error">{counterpartyError}</div>
+              )}
+              <div className="modal__actions">
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={() => setCounterpartySettle(null)}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="primary"
+                  type="submit"
+                  disabled={settlementBusy}
+                >
+                  {settlementBusy ? "Saving..." : "Record payments"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {showInviteModal && (
         <div className="modal">
           <div className="modal__content">
@@ -4750,7 +9348,10 @@ export default function App() {
                 Group
                 <select
                   value={inviteGroupId}
-                  onChange={(event) => setInviteGroupId(event.target.value)}
+                  onChange={(event) => {
+                    setInviteGroupId(event.target.value);
+                    setInviteGuestUid("");
+                  }}
                 >
                   <option value="">Choose a group</option>
                   {groupList.map((group) => (
@@ -4769,6 +9370,28 @@ export default function App() {
                   placeholder="friend@example.com"
                 />
               </label>
+              {inviteGuests.length > 0 && (
+                <label>
+                  Claims guest
+                  <select
+                    value={inviteGuestUid}
+                    onChange={(event) => {
+                      const guest = inviteGuests.find(
+                        (member) => member.uid === event.target.value
+                      );
+                      setInviteGuestUid(event.target.value);
+                      if (guest?.email) setInviteEmail(guest.email);
+                    }}
+                  >
+                    <option value="">Not a guest</option>
+                    {inviteGuests.map((member) => (
+                      <option key={member.uid} value={member.uid}>
+                        {member.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
               {inviteError && <div className="auth__error">{inviteError}</div>}
               <div className="modal__actions">
                 <button